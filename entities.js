@@ -0,0 +1,1293 @@
+/**
+ * Shadow Escape - Game Entities
+ *
+ * Defines the player, the obstacle types and the light sources that make up
+ * a level. Entities only hold state and simulation logic: the world they live
+ * in is passed in by the caller and drawing is left to renderer.js, so they
+ * run in Node without a DOM.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./geometry.js'));
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory(root.Nolhyte));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const {
+        lineIntersection,
+        getObstacleSegments,
+        computeVisibilityPolygon,
+        isAngleInArc,
+        pointInPolygon,
+        circleCirclePush,
+        circleRectanglePush,
+        circlePolygonPush,
+        polygonSignedArea,
+        polygonCentroid,
+        isSimplePolygon
+    } = deps;
+    
+    // Resolution passes per movement step, enough to settle where obstacles meet
+    const COLLISION_PASSES = 4;
+    
+    // Milliseconds a door takes to slide open or shut
+    const DOOR_SLIDE_TIME = 500;
+    
+    // Bounds on the points approximating a circle obstacle, and how far in
+    // pixels its shadow may stray from the true circle's
+    const MIN_CIRCLE_POINTS = 12;
+    const MAX_CIRCLE_POINTS = 96;
+    const MAX_SHADOW_ERROR = 1;
+    
+    // How far a light's reach swells and shrinks with its pulse, as a fraction of its intensity
+    const LIGHT_PULSE = 0.1;
+    
+    // Source of obstacle ids, which tell obstacles apart in cache keys
+    let nextObstacleId = 1;
+    
+    /**
+     * Named light falloff curves
+     * Each maps the distance from the light, as a fraction of its range,
+     * to light strength from 1 (full) to 0 (none)
+     */
+    const FALLOFF_CURVES = {
+        linear: t => 1 - t,
+        // Inverse-square, rescaled so it reaches exactly zero at the edge
+        inverseSquare: t => (1 / (1 + 24 * t * t) - 1 / 25) / (1 - 1 / 25)
+    };
+    
+    // Matches the original gradient: bright core fading out quickly
+    const DEFAULT_FALLOFF = [
+        {offset: 0, strength: 1},
+        {offset: 0.5, strength: 0.25},
+        {offset: 1, strength: 0}
+    ];
+    
+    /**
+     * Evaluates a custom falloff curve given as gradient-style stops
+     * @param {Array} stops - Stops {offset, strength} sorted by offset
+     * @param {number} t - Distance as a fraction of the light's range
+     * @returns {number} Light strength, interpolated linearly between stops
+     */
+    function evaluateFalloffStops(stops, t) {
+        if (t <= stops[0].offset) return stops[0].strength;
+        
+        for (let i = 1; i < stops.length; i++) {
+            const next = stops[i];
+            if (t <= next.offset) {
+                const previous = stops[i - 1];
+                const span = next.offset - previous.offset;
+                const blend = span > 0 ? (t - previous.offset) / span : 1;
+                return previous.strength + (next.strength - previous.strength) * blend;
+            }
+        }
+        
+        return stops[stops.length - 1].strength;
+    }
+    
+    /**
+     * Player class
+     * Represents the player character controlled by the user
+     */
+    class Player {
+        constructor() {
+            this.x = 0;
+            this.y = 0;
+            this.prevX = 0; // Position before the latest update, for render interpolation
+            this.prevY = 0;
+            this.targetX = 0;
+            this.targetY = 0;
+            this.radius = 15;
+            this.speed = 0.3; // Fraction of the remaining way to the target covered per 16ms
+            this.maxSpeed = 0.25; // Pixels per millisecond when steered by direction
+            this.accelerationTime = 80; // Milliseconds to reach a new steered velocity
+            this.moveDirection = null; // Steered direction {x, y}, null to walk to the target instead
+            this.velocityX = 0;
+            this.velocityY = 0;
+            this.color = '#0ff';
+            this.exposureTime = 0;
+            this.maxExposureTime = 100;
+            this.glowIntensity = 0;
+            this.exposureSampleRings = [{radius: 0.5, count: 8}, {radius: 0.95, count: 12}]; // Around the center sample
+        }
+        
+        /**
+         * Resets player to a starting position
+         * @param {number} x - Starting X position
+         * @param {number} y - Starting Y position
+         */
+        reset(x, y) {
+            this.x = x;
+            this.y = y;
+            this.prevX = x;
+            this.prevY = y;
+            this.targetX = this.x;
+            this.targetY = this.y;
+            this.moveDirection = null;
+            this.velocityX = 0;
+            this.velocityY = 0;
+            this.exposureTime = 0;
+            this.glowIntensity = 0;
+        }
+        
+        /**
+         * Walks the player towards a point, as with the mouse
+         * @param {number} x - Target X position
+         * @param {number} y - Target Y position
+         */
+        setTarget(x, y) {
+            this.targetX = x;
+            this.targetY = y;
+            this.moveDirection = null;
+            this.velocityX = 0;
+            this.velocityY = 0;
+        }
+        
+        /**
+         * Steers the player in a direction, as with keys, a stick or touch
+         * @param {number} x - Direction X, -1 to 1
+         * @param {number} y - Direction Y, -1 to 1
+         */
+        setMoveDirection(x, y) {
+            this.moveDirection = {x, y};
+        }
+        
+        /**
+         * Updates player position and state
+         * A steered player accelerates towards its direction at full speed;
+         * otherwise it eases towards its target. Either way it moves in steps
+         * no longer than its radius, pushed out of obstacles after each one,
+         * so it slides along walls instead of passing through them
+         * @param {number} deltaTime - Time elapsed since last frame
+         * @param {Array} obstacles - Obstacles the player collides with
+         */
+        update(deltaTime, obstacles = []) {
+            this.prevX = this.x;
+            this.prevY = this.y;
+            
+            let moveX = 0;
+            let moveY = 0;
+            
+            if (this.moveDirection) {
+                // Accelerate towards the steered velocity
+                const blend = Math.min(1, deltaTime / this.accelerationTime);
+                this.velocityX += (this.moveDirection.x * this.maxSpeed - this.velocityX) * blend;
+                this.velocityY += (this.moveDirection.y * this.maxSpeed - this.velocityY) * blend;
+                moveX = this.velocityX * deltaTime;
+                moveY = this.velocityY * deltaTime;
+            } else {
+                // Move player towards target position
+                const dx = this.targetX - this.x;
+                const dy = this.targetY - this.y;
+                
+                if (Math.sqrt(dx * dx + dy * dy) > 1) {
+                    // Compounded per 16ms so the easing is the same for any step size
+                    const fraction = 1 - Math.pow(1 - this.speed, deltaTime / 16);
+                    moveX = dx * fraction;
+                    moveY = dy * fraction;
+                }
+            }
+            
+            if (moveX !== 0 || moveY !== 0) {
+                const steps = Math.max(1, Math.ceil(Math.sqrt(moveX * moveX + moveY * moveY) / this.radius));
+                
+                for (let i = 0; i < steps; i++) {
+                    this.x += moveX / steps;
+                    this.y += moveY / steps;
+                    this.resolveCollisions(obstacles);
+                }
+            } else {
+                this.resolveCollisions(obstacles);
+            }
+            
+            // Update glow effect based on exposure
+            this.glowIntensity = this.exposureTime / this.maxExposureTime;
+        }
+        
+        /**
+         * Pushes the player out of any obstacles it overlaps
+         * @param {Array} obstacles - Obstacles the player collides with
+         */
+        resolveCollisions(obstacles) {
+            for (let pass = 0; pass < COLLISION_PASSES; pass++) {
+                let pushed = false;
+                
+                obstacles.forEach(obstacle => {
+                    const push = obstacle.getCollisionPush(this);
+                    if (push) {
+                        this.x += push.x;
+                        this.y += push.y;
+                        pushed = true;
+                    }
+                });
+                
+                if (!pushed) break;
+            }
+        }
+        
+        /**
+         * Gets where to draw the player between its last two updates
+         * @param {number} alpha - How far from the previous to the current position, 0 to 1
+         * @returns {Object} Point {x, y}
+         */
+        getInterpolatedPosition(alpha) {
+            return {
+                x: this.prevX + (this.x - this.prevX) * alpha,
+                y: this.prevY + (this.y - this.prevY) * alpha
+            };
+        }
+        
+        /**
+         * Gets points spread over the player's body for exposure checks
+         * The center plus evenly spaced rings, so each sample covers a
+         * similar share of the disc
+         * @returns {Array} Array of points {x, y}
+         */
+        getSamplePoints() {
+            const points = [{x: this.x, y: this.y}];
+            
+            this.exposureSampleRings.forEach(ring => {
+                for (let i = 0; i < ring.count; i++) {
+                    const angle = (i / ring.count) * Math.PI * 2;
+                    points.push({
+                        x: this.x + Math.cos(angle) * this.radius * ring.radius,
+                        y: this.y + Math.sin(angle) * this.radius * ring.radius
+                    });
+                }
+            });
+            
+            return points;
+        }
+    }
+    
+    /**
+     * Base Obstacle class
+     * Provides common functionality for all obstacle types
+     *
+     * Every obstacle has a shape of its own, laid out around its center, and
+     * a transform that places it in the arena: position of the center,
+     * rotation about it and scale. Any obstacle can also move, following a
+     * path and turning by level time, and can be made breakable by giving it
+     * a durability. Everything about its shape at a given moment comes from
+     * the level time and the light it has taken, so it replays exactly.
+     */
+    class Obstacle {
+        constructor() {
+            this.id = nextObstacleId++;
+            this.version = 0; // Bumped whenever the outline changes, see markChanged()
+            this.color = '#555';
+            this.borderColor = '#888';
+            this.pulseAmount = 0;
+            this.pulseSpeed = 0.75;
+            this.transform = {x: 0, y: 0, rotation: 0, scale: 1}; // Where the obstacle is now
+            this.restTransform = {x: 0, y: 0, rotation: 0, scale: 1}; // Where it is placed, before any movement
+            this.path = null; // For moving obstacles, a Path the center follows by level time
+            this.rotationSpeed = 0; // For turning obstacles, radians per millisecond
+            this.durability = Infinity; // Milliseconds of full light the obstacle takes before it breaks
+            this.damage = 0; // Light taken so far, in milliseconds of full light
+            this.broken = false;
+        }
+        
+        /**
+         * Gives the obstacle its random starting state
+         * Called by the world the obstacle is added to
+         * @param {Random} random - Generator to draw from
+         */
+        randomize(random) {
+            this.pulseSpeed = random.range(0.5, 1);
+        }
+        
+        /**
+         * Places the obstacle
+         * Movement along a path or by turning is on top of this placement
+         * @param {Object} transform - Any of {x, y, rotation, scale}, where x, y is the center
+         */
+        setTransform(transform) {
+            Object.assign(this.restTransform, transform);
+            Object.assign(this.transform, this.restTransform);
+            this.placeAtTime(0);
+            this.markChanged();
+        }
+        
+        /**
+         * Records that the obstacle's outline changed
+         * Cached shadows and drawings keyed on getShapeKey() are then rebuilt;
+         * call it after changing an obstacle's shape by hand
+         */
+        markChanged() {
+            this.version++;
+        }
+        
+        /**
+         * Gets a key that changes whenever the obstacle's outline does
+         * @returns {string} Obstacle id and outline version
+         */
+        getShapeKey() {
+            return this.id + ':' + this.version;
+        }
+        
+        /**
+         * Puts the obstacle back to how the level starts: in place and unbroken
+         */
+        reset() {
+            this.damage = 0;
+            this.broken = false;
+            this.placeAtTime(0);
+            this.markChanged();
+        }
+        
+        /**
+         * Makes the obstacle follow a scripted path
+         * @param {Path} path - Path for the obstacle's center to follow by level time
+         */
+        setPath(path) {
+            this.path = path;
+            this.placeAtTime(0);
+        }
+        
+        /**
+         * Checks if the obstacle moves or turns
+         * @returns {boolean} True if its shape changes over time
+         */
+        isMoving() {
+            return this.path !== null || this.rotationSpeed !== 0;
+        }
+        
+        /**
+         * Checks if the obstacle is turned away from its own axes
+         * Whole turns count as unturned
+         * @returns {boolean} True if its edges may not line up with the arena's
+         */
+        isRotated() {
+            return this.transform.rotation % (Math.PI * 2) !== 0;
+        }
+        
+        /**
+         * Checks if the obstacle keeps the same outline for the whole level
+         * Static obstacles can be drawn once and reused
+         * @returns {boolean} True if it neither moves nor breaks
+         */
+        isStatic() {
+            return !this.isMoving() && this.durability === Infinity;
+        }
+        
+        /**
+         * Moves the obstacle to where it is at a given level time
+         * @param {number} time - Level time in milliseconds
+         */
+        placeAtTime(time) {
+            if (!this.isMoving()) return;
+            
+            const center = this.path ? this.path.getPosition(time) : this.restTransform;
+            const rotation = this.restTransform.rotation + this.rotationSpeed * time;
+            if (center.x === this.transform.x && center.y === this.transform.y && rotation === this.transform.rotation) {
+                return;
+            }
+            
+            this.transform.x = center.x;
+            this.transform.y = center.y;
+            this.transform.rotation = rotation;
+            this.markChanged();
+        }
+        
+        /**
+         * Updates obstacle state
+         * @param {number} deltaTime - Time elapsed since last frame
+         * @param {World} world - World the obstacle belongs to
+         */
+        update(deltaTime, world) {
+            // Update pulse effect
+            this.pulseAmount = Math.sin(world.time * this.pulseSpeed * 0.001) * 0.1;
+            this.placeAtTime(world.time);
+        }
+        
+        /**
+         * Checks if the obstacle currently blocks light and movement
+         * @returns {boolean} False once broken
+         */
+        isSolid() {
+            return !this.broken;
+        }
+        
+        /**
+         * Checks if light can break the obstacle
+         * @returns {boolean} True for breakable obstacles that are still standing
+         */
+        isBreakable() {
+            return this.durability !== Infinity && !this.broken;
+        }
+        
+        /**
+         * Takes damage from the light falling on the obstacle
+         * @param {number} strength - Strength of the light on it, 0 to 1
+         * @param {number} deltaTime - Time the light was on it
+         * @returns {boolean} True if this broke the obstacle
+         */
+        absorbLight(strength, deltaTime) {
+            if (!this.isBreakable() || strength <= 0) return false;
+            
+            this.damage += strength * deltaTime;
+            if (this.damage >= this.durability) {
+                this.broken = true;
+                this.markChanged();
+                return true;
+            }
+            return false;
+        }
+        
+        /**
+         * Gets points just outside the obstacle's outline
+         * Where light falls on these, it falls on the obstacle. Outlines
+         * wind clockwise on screen, so the outside of each edge is to its left
+         * @param {number} offset - Distance outside the outline
+         * @returns {Array} Points {x, y} off each corner and edge middle
+         */
+        getSurfacePoints(offset = 2) {
+            const corners = this.getCorners();
+            const normals = corners.map((corner, i) => {
+                const next = corners[(i + 1) % corners.length];
+                const length = Math.hypot(next.x - corner.x, next.y - corner.y) || 1;
+                return {x: (next.y - corner.y) / length, y: (corner.x - next.x) / length};
+            });
+            
+            const points = [];
+            corners.forEach((corner, i) => {
+                const next = corners[(i + 1) % corners.length];
+                const normal = normals[i];
+                const previous = normals[(i - 1 + normals.length) % normals.length];
+                const cornerX = normal.x + previous.x;
+                const cornerY = normal.y + previous.y;
+                const cornerLength = Math.hypot(cornerX, cornerY) || 1;
+                points.push({x: corner.x + cornerX / cornerLength * offset, y: corner.y + cornerY / cornerLength * offset});
+                points.push({
+                    x: (corner.x + next.x) / 2 + normal.x * offset,
+                    y: (corner.y + next.y) / 2 + normal.y * offset
+                });
+            });
+            return points;
+        }
+        
+        /**
+         * Gets the middle of the obstacle
+         * @returns {Object} Point {x, y}
+         */
+        getCenter() {
+            return {x: this.transform.x, y: this.transform.y};
+        }
+        
+        /**
+         * Places a point of the obstacle's own shape in the arena
+         * @param {Object} point - Point {x, y} relative to the obstacle's center
+         * @returns {Object} Point {x, y} in the arena
+         */
+        toWorld(point) {
+            const {x, y, rotation, scale} = this.transform;
+            const cos = Math.cos(rotation) * scale;
+            const sin = Math.sin(rotation) * scale;
+            return {
+                x: x + point.x * cos - point.y * sin,
+                y: y + point.x * sin + point.y * cos
+            };
+        }
+        
+        /**
+         * Gets the outline of the obstacle's own shape, before its transform
+         * Must be implemented by subclasses
+         * @param {Object} viewpoint - Optional point {x, y} the outline is seen from
+         * @param {number} range - How far past the obstacle the view reaches
+         * @returns {Array} Points {x, y} relative to the center, clockwise on screen
+         */
+        getLocalCorners(viewpoint, range) {
+            console.error('getLocalCorners() not implemented');
+            return [];
+        }
+        
+        /**
+         * Gets corners of the obstacle for shadow calculation
+         * @param {Object} viewpoint - Optional point {x, y} the shadow is cast from
+         * @param {number} range - How far the shadow reaches from the viewpoint
+         * @returns {Array} Array of corner points {x, y}, clockwise on screen
+         */
+        getCorners(viewpoint = null, range = 0) {
+            return this.getLocalCorners(viewpoint, range).map(point => this.toWorld(point));
+        }
+        
+        /**
+         * Gets the axis-aligned box around the obstacle
+         * @returns {Object} Box {x, y, width, height}
+         */
+        getBounds() {
+            const corners = this.getCorners();
+            const xs = corners.map(point => point.x);
+            const ys = corners.map(point => point.y);
+            const x = Math.min(...xs);
+            const y = Math.min(...ys);
+            return {x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y};
+        }
+        
+        /**
+         * Gets how far a circle must move to stop overlapping the obstacle
+         * Obstacles without a solid shape never collide
+         * @param {Object} circle - Circle {x, y, radius}
+         * @returns {Object|null} Push {x, y}, or null if there is no overlap
+         */
+        getCollisionPush(circle) {
+            return null;
+        }
+    }
+    
+    /**
+     * Rectangle Obstacle
+     * A simple rectangular obstacle that blocks light
+     */
+    class RectangleObstacle extends Obstacle {
+        /**
+         * Creates a rectangular obstacle
+         * @param {number} x - X position of top-left corner
+         * @param {number} y - Y position of top-left corner
+         * @param {number} width - Width of rectangle
+         * @param {number} height - Height of rectangle
+         */
+        constructor(x, y, width, height) {
+            super();
+            this.type = 'rectangle';
+            this.width = width;
+            this.height = height;
+            this.setTransform({x: x + width / 2, y: y + height / 2});
+        }
+        
+        /**
+         * Gets the corners of the rectangle around its center
+         * @returns {Array} Array of corner points {x, y}
+         */
+        getLocalCorners() {
+            const halfWidth = this.width / 2;
+            const halfHeight = this.height / 2;
+            return [
+                {x: -halfWidth, y: -halfHeight},
+                {x: halfWidth, y: -halfHeight},
+                {x: halfWidth, y: halfHeight},
+                {x: -halfWidth, y: halfHeight}
+            ];
+        }
+        
+        /**
+         * Gets how far a circle must move to stop overlapping the rectangle
+         * @param {Object} circle - Circle {x, y, radius}
+         * @returns {Object|null} Push {x, y}, or null if there is no overlap
+         */
+        getCollisionPush(circle) {
+            if (this.isRotated()) {
+                return circlePolygonPush(circle, this.getCorners());
+            }
+            return circleRectanglePush(circle, this.getBounds());
+        }
+    }
+    
+    /**
+     * Circle Obstacle
+     * A circular obstacle that blocks light
+     */
+    class CircleObstacle extends Obstacle {
+        /**
+         * Creates a circular obstacle
+         * @param {number} x - X position of center
+         * @param {number} y - Y position of center
+         * @param {number} radius - Radius of circle
+         */
+        constructor(x, y, radius) {
+            super();
+            this.type = 'circle';
+            this.radius = radius;
+            this.numPoints = MIN_CIRCLE_POINTS; // Points approximating the circle when nothing is looking at it
+            this.setTransform({x, y});
+        }
+        
+        /**
+         * Gets the radius after scaling
+         * @returns {number} Radius in the arena
+         */
+        getRadius() {
+            return this.radius * this.transform.scale;
+        }
+        
+        /**
+         * Works out how many points the circle needs, seen from a viewpoint
+         * The shadow of the polygon strays from the true circle's by the gap
+         * between an edge and the arc, magnified by how far the shadow reaches
+         * compared to how far the viewpoint is; enough points keep that under
+         * a pixel
+         * @param {Object} viewpoint - Point {x, y} the circle is seen from
+         * @param {number} range - How far the shadow reaches from the viewpoint
+         * @returns {number} Number of points
+         */
+        getPointCount(viewpoint, range) {
+            const radius = this.getRadius();
+            const distance = Math.hypot(viewpoint.x - this.transform.x, viewpoint.y - this.transform.y);
+            if (distance <= radius) return MAX_CIRCLE_POINTS;
+            
+            // Largest gap between edge and arc that keeps the shadow within a pixel
+            const gap = Math.min(radius, MAX_SHADOW_ERROR * distance / Math.max(range, distance));
+            const points = Math.ceil(Math.PI / Math.acos(1 - gap / radius));
+            return Math.max(this.numPoints, Math.min(MAX_CIRCLE_POINTS, points));
+        }
+        
+        /**
+         * Gets points around the circle for shadow calculation
+         * Approximates the circle with a polygon for shadow casting, finer
+         * the more a viewpoint would notice its corners
+         * @param {Object} viewpoint - Optional point {x, y} the circle is seen from
+         * @param {number} range - How far the shadow reaches from the viewpoint
+         * @returns {Array} Array of points {x, y} around the circle
+         */
+        getLocalCorners(viewpoint = null, range = 0) {
+            const count = viewpoint ? this.getPointCount(viewpoint, range) : this.numPoints;
+            const points = [];
+            const angleStep = (Math.PI * 2) / count;
+            
+            for (let i = 0; i < count; i++) {
+                const angle = i * angleStep;
+                points.push({
+                    x: Math.cos(angle) * this.radius,
+                    y: Math.sin(angle) * this.radius
+                });
+            }
+            
+            return points;
+        }
+        
+        /**
+         * Gets the axis-aligned box around the true circle
+         * Wider than the box around its outline, which cuts inside the curve
+         * @returns {Object} Box {x, y, width, height}
+         */
+        getBounds() {
+            const radius = this.getRadius();
+            return {x: this.transform.x - radius, y: this.transform.y - radius, width: radius * 2, height: radius * 2};
+        }
+        
+        /**
+         * Gets how far a circle must move to stop overlapping the circle
+         * Uses the true circle rather than its shadow-casting outline
+         * @param {Object} circle - Circle {x, y, radius}
+         * @returns {Object|null} Push {x, y}, or null if there is no overlap
+         */
+        getCollisionPush(circle) {
+            return circleCirclePush(circle, {x: this.transform.x, y: this.transform.y, radius: this.getRadius()});
+        }
+    }
+    
+    /**
+     * Polygon Obstacle
+     * An obstacle defined by a set of points. It may be concave, but its
+     * edges must not cross
+     */
+    class PolygonObstacle extends Obstacle {
+        /**
+         * Creates a polygon obstacle
+         * A repeated closing point is dropped and the points are put in
+         * clockwise order on screen
+         * @param {Array} points - Array of points {x, y} defining the polygon
+         * @throws {Error} If the points don't form a simple polygon
+         */
+        constructor(points) {
+            super();
+            this.type = 'polygon';
+            
+            const outline = points.filter((point, i) => {
+                const next = points[(i + 1) % points.length];
+                return point.x !== next.x || point.y !== next.y;
+            });
+            if (outline.length < 3 || polygonSignedArea(outline) === 0) {
+                throw new Error('A polygon obstacle needs at least three points enclosing an area');
+            }
+            if (!isSimplePolygon(outline)) {
+                throw new Error('A polygon obstacle\'s edges must not cross');
+            }
+            if (polygonSignedArea(outline) < 0) {
+                outline.reverse();
+            }
+            
+            // The shape is kept relative to its centroid, which the transform places
+            const center = polygonCentroid(outline);
+            this.shape = outline.map(point => ({x: point.x - center.x, y: point.y - center.y}));
+            this.setTransform({x: center.x, y: center.y});
+        }
+        
+        /**
+         * Gets the polygon's points around its centroid
+         * @returns {Array} Array of points {x, y}
+         */
+        getLocalCorners() {
+            return this.shape;
+        }
+        
+        /**
+         * Gets how far a circle must move to stop overlapping the polygon
+         * @param {Object} circle - Circle {x, y, radius}
+         * @returns {Object|null} Push {x, y}, or null if there is no overlap
+         */
+        getCollisionPush(circle) {
+            return circlePolygonPush(circle, this.getCorners());
+        }
+    }
+    
+    /**
+     * Door
+     * A rectangular panel that slides open and shut on a timer, shrinking
+     * towards its top or left end along its longer side. While fully open
+     * it blocks nothing
+     */
+    class DoorObstacle extends RectangleObstacle {
+        /**
+         * Creates a door, starting shut
+         * @param {number} x - X position of top-left corner
+         * @param {number} y - Y position of top-left corner
+         * @param {number} width - Width when shut
+         * @param {number} height - Height when shut
+         * @param {number} closedTime - Milliseconds the door stays shut
+         * @param {number} openTime - Milliseconds the door stays open
+         * @param {number} phase - Milliseconds into its cycle the door starts
+         */
+        constructor(x, y, width, height, closedTime = 3000, openTime = 2000, phase = 0) {
+            super(x, y, width, height);
+            this.type = 'door';
+            this.closedWidth = width;
+            this.closedHeight = height;
+            this.closedTime = closedTime;
+            this.openTime = openTime;
+            this.phase = phase;
+            this.openAmount = 0; // 0 shut, 1 fully open
+            this.color = '#654';
+            this.borderColor = '#a86';
+            this.placeAtTime(0);
+        }
+        
+        /**
+         * Gets how far open the door is at a given level time
+         * Shut, sliding open, open, sliding shut, then round again
+         * @param {number} time - Level time in milliseconds
+         * @returns {number} 0 shut to 1 fully open
+         */
+        getOpenAmountAt(time) {
+            const cycle = this.closedTime + this.openTime + DOOR_SLIDE_TIME * 2;
+            let t = (((time + this.phase) % cycle) + cycle) % cycle;
+            
+            if (t < this.closedTime) return 0;
+            t -= this.closedTime;
+            if (t < DOOR_SLIDE_TIME) return t / DOOR_SLIDE_TIME;
+            t -= DOOR_SLIDE_TIME;
+            if (t < this.openTime) return 1;
+            t -= this.openTime;
+            return 1 - t / DOOR_SLIDE_TIME;
+        }
+        
+        /**
+         * Moves the door and slides it to how far open it is at a given level time
+         * @param {number} time - Level time in milliseconds
+         */
+        placeAtTime(time) {
+            super.placeAtTime(time);
+            // The rectangle's constructor places it before the door's own fields are set
+            if (this.closedWidth === undefined) return;
+            
+            const openAmount = this.getOpenAmountAt(time);
+            if (openAmount !== this.openAmount) {
+                this.openAmount = openAmount;
+                this.markChanged();
+            }
+            if (this.closedWidth >= this.closedHeight) {
+                this.width = this.closedWidth * (1 - this.openAmount);
+            } else {
+                this.height = this.closedHeight * (1 - this.openAmount);
+            }
+        }
+        
+        /**
+         * Gets the part of the door still shut, from its top-left end
+         * @returns {Array} Array of corner points {x, y}
+         */
+        getLocalCorners() {
+            const left = -this.closedWidth / 2;
+            const top = -this.closedHeight / 2;
+            return [
+                {x: left, y: top},
+                {x: left + this.width, y: top},
+                {x: left + this.width, y: top + this.height},
+                {x: left, y: top + this.height}
+            ];
+        }
+        
+        /**
+         * Checks if the door currently blocks light and movement
+         * @returns {boolean} False while fully open or once broken
+         */
+        isSolid() {
+            return super.isSolid() && this.openAmount < 1;
+        }
+        
+        /**
+         * Doors slide open and shut, so they are never static
+         * @returns {boolean} False
+         */
+        isStatic() {
+            return false;
+        }
+    }
+    
+    /**
+     * Light Source class with optimized shadow calculation
+     * The lit area is a visibility polygon, shared by rendering and gameplay
+     */
+    class LightSource {
+        /**
+         * Creates a light source
+         * @param {number} x - X position of light source
+         * @param {number} y - Y position of light source
+         * @param {number} radius - Radius of light source visual
+         * @param {string} color - Color of light source
+         * @param {number} intensity - Radius of light effect
+         * @param {number} rotationSpeed - Speed of rotation
+         */
+        constructor(x, y, radius = 10, color = '#ffff00', intensity = 300, rotationSpeed = 0.001) {
+            this.type = 'point';
+            this.x = x;
+            this.y = y;
+            this.radius = radius;
+            this.color = color;
+            this.intensity = intensity;
+            this.angle = 0; // Randomized when added to a world
+            this.direction = {x: Math.cos(this.angle), y: Math.sin(this.angle)};
+            this.rotationSpeed = rotationSpeed;
+            this.rayCount = 360; // Rays tracing the edge of the light at full quality
+            this.optimizedRayCount = 60; // Rays tracing the edge of the light when optimized
+            this.useOptimizedShadows = true; // Toggle for shadow quality vs performance
+            this.movementPattern = 'circle'; // 'circle', 'linear', 'random', 'path', 'static'
+            this.movementSpeed = 0.2;
+            this.movementRange = 200; // For circular movement
+            this.centerX = x; // For circular movement
+            this.centerY = y; // For circular movement
+            this.linearDirection = {x: 0.5, y: 0.5}; // For linear movement
+            this.nextDirectionChange = 0; // For random movement
+            this.path = null; // For path movement, a Path followed by level time
+            this.pulseAmount = 0; // For light pulsing effect
+            this.pulseSpeed = 0.75; // For light pulsing effect
+            this.litRegion = []; // Visibility polygon from the last lighting update
+            this.litRegionKey = null; // What litRegion was computed from, see getLitRegionKey()
+            this.falloff = DEFAULT_FALLOFF; // Curve name from FALLOFF_CURVES, or custom stops
+        }
+        
+        /**
+         * Gives the light its random starting angle, direction and pulse
+         * Called by the world the light is added to, so lights behave the
+         * same for the same world seed
+         * @param {Random} random - Generator to draw from
+         */
+        randomize(random) {
+            this.angle = random.range(0, Math.PI * 2);
+            this.direction = {x: Math.cos(this.angle), y: Math.sin(this.angle)};
+            this.linearDirection = {x: random.range(-1, 1), y: random.range(-1, 1)};
+            this.pulseSpeed = random.range(0.5, 1);
+        }
+        
+        /**
+         * Makes the light follow a scripted path
+         * @param {Path} path - Path to follow by level time
+         */
+        setPath(path) {
+            this.path = path;
+            this.movementPattern = 'path';
+            const start = path.getPosition(0);
+            this.x = start.x;
+            this.y = start.y;
+        }
+        
+        /**
+         * Sets how the light fades with distance
+         * @param {string|Array} falloff - 'linear', 'inverseSquare', or stops {offset, strength}
+         */
+        setFalloff(falloff) {
+            if (Array.isArray(falloff)) {
+                if (falloff.length === 0) {
+                    throw new Error('Light falloff needs at least one stop');
+                }
+                this.falloff = falloff.slice().sort((a, b) => a.offset - b.offset);
+            } else if (FALLOFF_CURVES[falloff]) {
+                this.falloff = falloff;
+            } else {
+                throw new Error(`Unknown light falloff: ${falloff}`);
+            }
+        }
+        
+        /**
+         * Gets the light strength at a distance from the light
+         * @param {number} distance - Distance from the light
+         * @returns {number} Strength from 1 (full) to 0 (beyond reach)
+         */
+        getIntensityAt(distance) {
+            const t = distance / this.getRange();
+            if (t >= 1) return 0;
+            
+            const strength = Array.isArray(this.falloff)
+                ? evaluateFalloffStops(this.falloff, t)
+                : FALLOFF_CURVES[this.falloff](t);
+            return Math.max(0, Math.min(1, strength));
+        }
+        
+        /**
+         * Gets gradient stops describing the falloff curve
+         * Custom stops are returned as-is, named curves are sampled
+         * @param {number} samples - Number of stops for named curves
+         * @returns {Array} Stops {offset, strength}
+         */
+        getFalloffStops(samples = 9) {
+            if (Array.isArray(this.falloff)) {
+                return this.falloff;
+            }
+            
+            const stops = [];
+            for (let i = 0; i < samples; i++) {
+                const offset = i / (samples - 1);
+                stops.push({offset, strength: FALLOFF_CURVES[this.falloff](offset)});
+            }
+            return stops;
+        }
+        
+        /**
+         * Updates light source position and state
+         * @param {number} deltaTime - Time elapsed since last frame
+         * @param {World} world - World the light moves within
+         */
+        update(deltaTime, world) {
+            // Update pulse effect
+            this.pulseAmount = Math.sin(world.time * this.pulseSpeed * 0.001) * LIGHT_PULSE;
+            
+            // Rotate the light source
+            this.angle += this.rotationSpeed * deltaTime;
+            this.direction = {
+                x: Math.cos(this.angle),
+                y: Math.sin(this.angle)
+            };
+            
+            // Update position based on movement pattern
+            switch (this.movementPattern) {
+                case 'circle':
+                    this.x = this.centerX + Math.cos(this.angle * this.movementSpeed) * this.movementRange;
+                    this.y = this.centerY + Math.sin(this.angle * this.movementSpeed) * this.movementRange;
+                    break;
+                
+                case 'path': {
+                    const position = this.path.getPosition(world.time);
+                    this.x = position.x;
+                    this.y = position.y;
+                    break;
+                }
+                
+                case 'linear':
+                    // Move in a straight line and bounce off walls
+                    this.x += this.linearDirection.x * deltaTime * 0.1;
+                    this.y += this.linearDirection.y * deltaTime * 0.1;
+                    
+                    // Bounce off walls
+                    if (this.x < this.radius || this.x > world.width - this.radius) {
+                        this.linearDirection.x *= -1;
+                    }
+                    if (this.y < this.radius || this.y > world.height - this.radius) {
+                        this.linearDirection.y *= -1;
+                    }
+                    break;
+                
+                case 'random':
+                    // Change direction randomly
+                    this.nextDirectionChange -= deltaTime;
+                    if (this.nextDirectionChange <= 0) {
+                        this.linearDirection = {
+                            x: world.random.range(-1, 1),
+                            y: world.random.range(-1, 1)
+                        };
+                        this.nextDirectionChange = world.random.range(1000, 4000); // 1-4 seconds
+                    }
+                    
+                    // Move in current direction
+                    this.x += this.linearDirection.x * deltaTime * 0.05;
+                    this.y += this.linearDirection.y * deltaTime * 0.05;
+                    
+                    // Bounce off walls
+                    if (this.x < this.radius) {
+                        this.x = this.radius;
+                        this.linearDirection.x *= -1;
+                    } else if (this.x > world.width - this.radius) {
+                        this.x = world.width - this.radius;
+                        this.linearDirection.x *= -1;
+                    }
+                    
+                    if (this.y < this.radius) {
+                        this.y = this.radius;
+                        this.linearDirection.y *= -1;
+                    } else if (this.y > world.height - this.radius) {
+                        this.y = world.height - this.radius;
+                        this.linearDirection.y *= -1;
+                    }
+                    break;
+            }
+        }
+        
+        /**
+         * Gets how far the light currently reaches
+         * @returns {number} Light radius including the pulse effect
+         */
+        getRange() {
+            return this.intensity * (1 + this.pulseAmount);
+        }
+        
+        /**
+         * Gets how far the light can ever reach, at the top of its pulse
+         * @returns {number} Largest light radius
+         */
+        getMaxRange() {
+            return this.intensity * (1 + LIGHT_PULSE);
+        }
+        
+        /**
+         * Gets the number of rays tracing the outer edge, by quality setting
+         * @returns {number} Edge ray count
+         */
+        getEdgeRayCount() {
+            return this.useOptimizedShadows ? this.optimizedRayCount : this.rayCount;
+        }
+        
+        /**
+         * Computes the region this light reaches
+         * Edge rays follow the quality setting: optimized shadows trace the
+         * outer circle with fewer rays, obstacle silhouettes stay exact. The
+         * region covers the light's whole reach; the range check in
+         * isPointLit() and the falloff trim it to the current pulse, so the
+         * region stays valid while the light only pulses
+         * @param {Array} obstacles - Obstacles that block this light
+         * @returns {Array} Lit region as a polygon of points {x, y}
+         */
+        computeLitRegion(obstacles) {
+            const range = this.getMaxRange();
+            return computeVisibilityPolygon(
+                this, getObstacleSegments(obstacles, this, range), range, this.getEdgeRayCount(), this.getArc()
+            );
+        }
+        
+        /**
+         * Gets a key for everything the lit region depends on
+         * Position, reach, direction, quality and the outline of every blocking obstacle
+         * @param {Array} obstacles - Obstacles that block this light
+         * @returns {string} Key that changes whenever the lit region would
+         */
+        getLitRegionKey(obstacles) {
+            const arc = this.getArc();
+            const parts = [this.x, this.y, this.getMaxRange(), this.getEdgeRayCount(), arc ? arc.start + '/' + arc.width : 'all'];
+            obstacles.forEach(obstacle => parts.push(obstacle.getShapeKey()));
+            return parts.join(',');
+        }
+        
+        /**
+         * Gets the slice of directions this light shines in
+         * @returns {Object|null} Arc {start, width} in radians, null for all directions
+         */
+        getArc() {
+            return null;
+        }
+        
+        /**
+         * Recomputes and stores the lit region
+         * The stored region is what both the renderer and exposure checks use.
+         * It is only recomputed when the light or an obstacle blocking it has
+         * changed since the last update
+         * @param {Array} obstacles - Obstacles that block this light
+         * @returns {Array} The new lit region
+         */
+        updateLitRegion(obstacles) {
+            const key = this.getLitRegionKey(obstacles);
+            if (key !== this.litRegionKey) {
+                this.litRegion = this.computeLitRegion(obstacles);
+                this.litRegionKey = key;
+            }
+            return this.litRegion;
+        }
+        
+        /**
+         * Checks if a point is inside the stored lit region
+         * @param {Object} point - Point {x, y}
+         * @returns {boolean} True if the point is lit by this light
+         */
+        isPointLit(point) {
+            // Skip the polygon test when the point is out of reach
+            const dx = point.x - this.x;
+            const dy = point.y - this.y;
+            const range = this.getRange();
+            if (dx * dx + dy * dy > range * range) {
+                return false;
+            }
+            
+            return pointInPolygon(point, this.litRegion);
+        }
+        
+        /**
+         * Gets the light strength at a point, taking shadows into account
+         * @param {Object} point - Point {x, y}
+         * @returns {number} Strength from 1 (full) to 0 (in shadow or out of reach)
+         */
+        getLightAt(point) {
+            if (!this.isPointLit(point)) return 0;
+            return this.getIntensityAt(Math.hypot(point.x - this.x, point.y - this.y));
+        }
+        
+        /**
+         * Checks for a direct, unblocked line from the light to a point
+         * Independent of the lit region, used to cross-check it
+         * @param {Object} point - Point {x, y}
+         * @param {Array} obstacles - Obstacles that can block the line
+         * @returns {boolean} True if the point is in range and in sight
+         */
+        hasLineOfSight(point, obstacles) {
+            const dx = point.x - this.x;
+            const dy = point.y - this.y;
+            if (Math.sqrt(dx * dx + dy * dy) > this.getRange()) {
+                return false;
+            }
+            
+            // Directional lights only see inside their cone
+            const arc = this.getArc();
+            if (arc && !isAngleInArc(Math.atan2(dy, dx), arc)) {
+                return false;
+            }
+            
+            return !obstacles.some(obstacle => this.isPointInShadow(point, obstacle));
+        }
+        
+        /**
+         * Checks if player is in light
+         * Refreshes the lit region first, then tests the player against it
+         * @param {Object} player - Player object
+         * @param {Array} obstacles - Obstacles that can shade the player
+         * @returns {boolean} True if player is in light, false if in shadow
+         */
+        checkPlayerInLight(player, obstacles) {
+            this.updateLitRegion(obstacles);
+            return this.isPointLit(player);
+        }
+        
+        /**
+         * Checks if a point is in shadow cast by an obstacle
+         * @param {Object} player - Player object
+         * @param {Object} obstacle - Obstacle object
+         * @returns {boolean} True if point is in shadow, false otherwise
+         */
+        isPointInShadow(player, obstacle) {
+            // Simple line-of-sight check
+            // Check if the line from light to player intersects with any obstacle
+            const corners = obstacle.getCorners(this, this.getRange());
+            
+            for (let i = 0; i < corners.length; i++) {
+                const corner = corners[i];
+                const nextCorner = corners[(i + 1) % corners.length];
+                
+                if (this.lineIntersection(
+                    this.x, this.y, player.x, player.y,
+                    corner.x, corner.y, nextCorner.x, nextCorner.y
+                )) {
+                    return true;
+                }
+            }
+            
+            return false;
+        }
+        
+        /**
+         * Checks if two line segments intersect
+         * Convenience wrapper around lineIntersection in geometry.js
+         * @returns {boolean} True if lines intersect, false otherwise
+         */
+        lineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
+            return lineIntersection(x1, y1, x2, y2, x3, y3, x4, y4);
+        }
+    }
+    
+    /**
+     * Spotlight class
+     * A directional sentry light that shines in a cone and sweeps it around
+     */
+    class Spotlight extends LightSource {
+        /**
+         * Creates a spotlight
+         * @param {number} x - X position of light source
+         * @param {number} y - Y position of light source
+         * @param {number} range - How far the cone reaches
+         * @param {number} coneWidth - Width of the cone in radians
+         * @param {number} facing - Direction the sweep is centred on, in radians
+         * @param {number} sweep - Width of the back-and-forth sweep in radians, 0 to rotate all the way round
+         * @param {number} rotationSpeed - Speed of the sweep
+         * @param {string} color - Color of light source
+         */
+        constructor(x, y, range = 300, coneWidth = Math.PI / 3, facing = 0, sweep = Math.PI / 2,
+                rotationSpeed = 0.001, color = '#ffff00') {
+            super(x, y, 10, color, range, rotationSpeed);
+            this.type = 'spotlight';
+            this.movementPattern = 'static';
+            this.coneWidth = coneWidth;
+            this.facing = facing; // Current direction of the cone
+            this.sweepCenter = facing;
+            this.sweep = sweep;
+            this.aim();
+        }
+        
+        /**
+         * Gives the spotlight a random starting point in its sweep
+         * @param {Random} random - Generator to draw from
+         */
+        randomize(random) {
+            super.randomize(random);
+            this.aim();
+        }
+        
+        /**
+         * Updates the spotlight and sweeps its cone
+         * @param {number} deltaTime - Time elapsed since last frame
+         * @param {World} world - World the light moves within
+         */
+        update(deltaTime, world) {
+            super.update(deltaTime, world);
+            this.aim();
+        }
+        
+        /**
+         * Points the cone according to the current sweep phase
+         * The inherited angle acts as the phase, advancing at rotationSpeed
+         */
+        aim() {
+            if (this.sweep > 0) {
+                this.facing = this.sweepCenter + Math.sin(this.angle) * this.sweep / 2;
+            } else {
+                this.facing = this.angle;
+            }
+            this.direction = {x: Math.cos(this.facing), y: Math.sin(this.facing)};
+        }
+        
+        /**
+         * Gets the cone the spotlight currently covers
+         * @returns {Object} Arc {start, width} in radians
+         */
+        getArc() {
+            return {start: this.facing - this.coneWidth / 2, width: this.coneWidth};
+        }
+    }
+    
+    return {
+        Player,
+        Obstacle,
+        RectangleObstacle,
+        CircleObstacle,
+        PolygonObstacle,
+        DoorObstacle,
+        LightSource,
+        Spotlight,
+        FALLOFF_CURVES
+    };
+});
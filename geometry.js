@@ -0,0 +1,464 @@
+/**
+ * Shadow Escape - Geometry
+ *
+ * Pure 2D geometry helpers shared by the simulation and the renderer:
+ * segment intersection, point-in-polygon tests, the visibility polygon
+ * that defines exactly which part of the arena a light reaches, and the
+ * circle collision tests that keep the player out of obstacles.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Angular offset used to look just past each obstacle vertex
+    const ANGLE_EPSILON = 0.0001;
+    
+    /**
+     * Checks if two line segments intersect
+     * Uses the line segment intersection algorithm
+     * @param {number} x1 - First line start X
+     * @param {number} y1 - First line start Y
+     * @param {number} x2 - First line end X
+     * @param {number} y2 - First line end Y
+     * @param {number} x3 - Second line start X
+     * @param {number} y3 - Second line start Y
+     * @param {number} x4 - Second line end X
+     * @param {number} y4 - Second line end Y
+     * @returns {boolean} True if lines intersect, false otherwise
+     */
+    function lineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
+        const denominator = ((y4 - y3) * (x2 - x1)) - ((x4 - x3) * (y2 - y1));
+        
+        // Lines are parallel
+        if (denominator === 0) {
+            return false;
+        }
+        
+        const ua = (((x4 - x3) * (y1 - y3)) - ((y4 - y3) * (x1 - x3))) / denominator;
+        const ub = (((x2 - x1) * (y1 - y3)) - ((y2 - y1) * (x1 - x3))) / denominator;
+        
+        // Check if intersection occurs within both line segments
+        return (ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1);
+    }
+    
+    /**
+     * Finds where a ray hits a segment
+     * @param {number} ox - Ray origin X
+     * @param {number} oy - Ray origin Y
+     * @param {number} dx - Ray direction X (unit length)
+     * @param {number} dy - Ray direction Y (unit length)
+     * @param {Object} segment - Segment {a: {x, y}, b: {x, y}}
+     * @returns {number} Distance along the ray to the hit, or Infinity if it misses
+     */
+    function raySegmentDistance(ox, oy, dx, dy, segment) {
+        const sx = segment.b.x - segment.a.x;
+        const sy = segment.b.y - segment.a.y;
+        const denominator = dx * sy - dy * sx;
+        
+        // Ray is parallel to the segment
+        if (denominator === 0) {
+            return Infinity;
+        }
+        
+        const ax = segment.a.x - ox;
+        const ay = segment.a.y - oy;
+        const t = (ax * sy - ay * sx) / denominator;
+        const u = (ax * dy - ay * dx) / denominator;
+        
+        if (t < 0 || u < 0 || u > 1) {
+            return Infinity;
+        }
+        return t;
+    }
+    
+    /**
+     * Collects the edges of a set of obstacles
+     * @param {Array} obstacles - Obstacles exposing getCorners()
+     * @param {Object} viewpoint - Optional point {x, y} the edges are seen from, so curved obstacles can pick their detail
+     * @param {number} range - How far the view reaches from the viewpoint
+     * @returns {Array} Array of segments {a: {x, y}, b: {x, y}}
+     */
+    function getObstacleSegments(obstacles, viewpoint = null, range = 0) {
+        const segments = [];
+        
+        obstacles.forEach(obstacle => {
+            const corners = obstacle.getCorners(viewpoint, range);
+            
+            for (let i = 0; i < corners.length; i++) {
+                segments.push({a: corners[i], b: corners[(i + 1) % corners.length]});
+            }
+        });
+        
+        return segments;
+    }
+    
+    /**
+     * Finds where a segment crosses a circle
+     * @param {Object} segment - Segment {a: {x, y}, b: {x, y}}
+     * @param {Object} center - Circle center {x, y}
+     * @param {number} radius - Circle radius
+     * @returns {Array} Zero, one or two points {x, y}
+     */
+    function segmentCircleIntersections(segment, center, radius) {
+        const dx = segment.b.x - segment.a.x;
+        const dy = segment.b.y - segment.a.y;
+        const fx = segment.a.x - center.x;
+        const fy = segment.a.y - center.y;
+        
+        const a = dx * dx + dy * dy;
+        const b = 2 * (fx * dx + fy * dy);
+        const c = fx * fx + fy * fy - radius * radius;
+        const discriminant = b * b - 4 * a * c;
+        
+        if (a === 0 || discriminant < 0) {
+            return [];
+        }
+        
+        const root = Math.sqrt(discriminant);
+        return [(-b - root) / (2 * a), (-b + root) / (2 * a)]
+            .filter(t => t >= 0 && t <= 1)
+            .map(t => ({x: segment.a.x + dx * t, y: segment.a.y + dy * t}));
+    }
+    
+    /**
+     * Wraps an angle into the range [0, 2π)
+     * @param {number} angle - Angle in radians
+     * @returns {number} Equivalent angle between 0 and 2π
+     */
+    function normalizeAngle(angle) {
+        const fullTurn = Math.PI * 2;
+        return ((angle % fullTurn) + fullTurn) % fullTurn;
+    }
+    
+    /**
+     * Computes the region visible from a point
+     * Sweeps rays, sorted by angle, at every segment endpoint and just either
+     * side of it, so the polygon follows obstacle silhouettes exactly. Extra
+     * evenly spaced rays trace the circular edge where nothing blocks the view.
+     * Given an arc, only that slice is swept and the polygon starts and ends
+     * at the origin, forming a cone.
+     * @param {Object} origin - Viewpoint {x, y}
+     * @param {Array} segments - Blocking segments {a: {x, y}, b: {x, y}}
+     * @param {number} range - Maximum view distance
+     * @param {number} fillRays - Number of evenly spaced rays around a full circle
+     * @param {Object} arc - Optional slice to sweep {start, width} in radians
+     * @returns {Array} Visibility polygon as an array of points {x, y}
+     */
+    function computeVisibilityPolygon(origin, segments, range, fillRays = 60, arc = null) {
+        const sweepStart = arc ? arc.start : -Math.PI;
+        const sweepWidth = arc ? Math.min(arc.width, Math.PI * 2) : Math.PI * 2;
+        const rangeSquared = range * range;
+        
+        // Angles are kept relative to the start of the sweep
+        const offsets = [];
+        const addAngle = angle => {
+            const offset = normalizeAngle(angle - sweepStart);
+            if (offset <= sweepWidth) {
+                offsets.push(offset);
+            }
+        };
+        const aimAt = point => {
+            const angle = Math.atan2(point.y - origin.y, point.x - origin.x);
+            addAngle(angle - ANGLE_EPSILON);
+            addAngle(angle);
+            addAngle(angle + ANGLE_EPSILON);
+        };
+        
+        // Aim at each endpoint within reach, and where edges leave the light
+        segments.forEach(segment => {
+            [segment.a, segment.b].forEach(point => {
+                const dx = point.x - origin.x;
+                const dy = point.y - origin.y;
+                if (dx * dx + dy * dy <= rangeSquared) {
+                    aimAt(point);
+                }
+            });
+            
+            segmentCircleIntersections(segment, origin, range).forEach(aimAt);
+        });
+        
+        // Trace the outer edge of the light
+        const edgeRays = arc ? Math.max(2, Math.ceil(fillRays * sweepWidth / (Math.PI * 2)) + 1) : fillRays;
+        const edgeStep = arc ? sweepWidth / (edgeRays - 1) : sweepWidth / edgeRays;
+        for (let i = 0; i < edgeRays; i++) {
+            offsets.push(i * edgeStep);
+        }
+        
+        offsets.sort((a, b) => a - b);
+        
+        const polygon = arc ? [{x: origin.x, y: origin.y}] : [];
+        offsets.forEach(offset => {
+            const angle = sweepStart + offset;
+            const dx = Math.cos(angle);
+            const dy = Math.sin(angle);
+            let distance = range;
+            
+            for (let i = 0; i < segments.length; i++) {
+                const hit = raySegmentDistance(origin.x, origin.y, dx, dy, segments[i]);
+                if (hit < distance) {
+                    distance = hit;
+                }
+            }
+            
+            polygon.push({x: origin.x + dx * distance, y: origin.y + dy * distance});
+        });
+        
+        return polygon;
+    }
+    
+    /**
+     * Checks if a direction falls within an arc
+     * @param {number} angle - Direction in radians
+     * @param {Object} arc - Arc {start, width} in radians
+     * @returns {boolean} True if the direction is inside the arc
+     */
+    function isAngleInArc(angle, arc) {
+        return normalizeAngle(angle - arc.start) <= arc.width;
+    }
+    
+    /**
+     * Checks if a point lies inside a polygon
+     * Uses the even-odd crossing rule
+     * @param {Object} point - Point {x, y}
+     * @param {Array} polygon - Array of points {x, y}
+     * @returns {boolean} True if the point is inside
+     */
+    function pointInPolygon(point, polygon) {
+        let inside = false;
+        
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        
+        return inside;
+    }
+    
+    /**
+     * Measures a polygon's area, signed by its winding
+     * @param {Array} polygon - Array of points {x, y}
+     * @returns {number} Area, positive when the points run clockwise on screen (y down)
+     */
+    function polygonSignedArea(polygon) {
+        let area = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    }
+    
+    /**
+     * Finds the center of mass of a polygon
+     * Unlike the average of its points, this lies where the area is, even
+     * for concave polygons with unevenly spread points
+     * @param {Array} polygon - Array of points {x, y} enclosing a non-zero area
+     * @returns {Object} Centroid {x, y}
+     */
+    function polygonCentroid(polygon) {
+        const area = polygonSignedArea(polygon);
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            const cross = a.x * b.y - b.x * a.y;
+            x += (a.x + b.x) * cross;
+            y += (a.y + b.y) * cross;
+        }
+        return {x: x / (6 * area), y: y / (6 * area)};
+    }
+    
+    /**
+     * Checks that no two edges of a polygon cross or touch
+     * Neighbouring edges may only share their common point
+     * @param {Array} polygon - Array of points {x, y}
+     * @returns {boolean} True if the outline is simple
+     */
+    function isSimplePolygon(polygon) {
+        const n = polygon.length;
+        for (let i = 0; i < n; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % n];
+            for (let j = i + 2; j < n; j++) {
+                // The last edge meets the first at the starting point
+                if (i === 0 && j === n - 1) continue;
+                
+                const c = polygon[j];
+                const d = polygon[(j + 1) % n];
+                if (lineIntersection(a.x, a.y, b.x, b.y, c.x, c.y, d.x, d.y)) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Finds the point on a segment closest to a given point
+     * @param {Object} point - Point {x, y}
+     * @param {Object} a - Segment start {x, y}
+     * @param {Object} b - Segment end {x, y}
+     * @returns {Object} Closest point {x, y}
+     */
+    function closestPointOnSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        
+        if (lengthSquared === 0) {
+            return {x: a.x, y: a.y};
+        }
+        
+        const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+        return {x: a.x + dx * t, y: a.y + dy * t};
+    }
+    
+    /**
+     * Finds how far a circle must move to stop overlapping another circle
+     * @param {Object} circle - Moving circle {x, y, radius}
+     * @param {Object} other - Fixed circle {x, y, radius}
+     * @returns {Object|null} Push {x, y} that separates them, or null if they don't overlap
+     */
+    function circleCirclePush(circle, other) {
+        const dx = circle.x - other.x;
+        const dy = circle.y - other.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const overlap = circle.radius + other.radius - distance;
+        
+        if (overlap <= 0) {
+            return null;
+        }
+        
+        // Concentric circles have no preferred direction
+        if (distance === 0) {
+            return {x: overlap, y: 0};
+        }
+        return {x: dx / distance * overlap, y: dy / distance * overlap};
+    }
+    
+    /**
+     * Finds how far a circle must move to stop overlapping a rectangle
+     * A circle whose center is inside leaves through the nearest side
+     * @param {Object} circle - Moving circle {x, y, radius}
+     * @param {Object} rect - Axis-aligned rectangle {x, y, width, height}
+     * @returns {Object|null} Push {x, y} that separates them, or null if they don't overlap
+     */
+    function circleRectanglePush(circle, rect) {
+        const right = rect.x + rect.width;
+        const bottom = rect.y + rect.height;
+        const closestX = Math.max(rect.x, Math.min(right, circle.x));
+        const closestY = Math.max(rect.y, Math.min(bottom, circle.y));
+        const dx = circle.x - closestX;
+        const dy = circle.y - closestY;
+        
+        // Center inside the rectangle
+        if (dx === 0 && dy === 0) {
+            const exits = [
+                {x: -(circle.x - rect.x + circle.radius), y: 0},
+                {x: right - circle.x + circle.radius, y: 0},
+                {x: 0, y: -(circle.y - rect.y + circle.radius)},
+                {x: 0, y: bottom - circle.y + circle.radius}
+            ];
+            return exits.reduce((best, exit) =>
+                Math.abs(exit.x + exit.y) < Math.abs(best.x + best.y) ? exit : best);
+        }
+        
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance >= circle.radius) {
+            return null;
+        }
+        
+        const overlap = circle.radius - distance;
+        return {x: dx / distance * overlap, y: dy / distance * overlap};
+    }
+    
+    /**
+     * Finds how far a circle must move to stop overlapping a polygon
+     * The circle is pushed away from the nearest edge; a circle whose center
+     * is inside leaves through that edge
+     * @param {Object} circle - Moving circle {x, y, radius}
+     * @param {Array} polygon - Polygon as an array of points {x, y}
+     * @returns {Object|null} Push {x, y} that separates them, or null if they don't overlap
+     */
+    function circlePolygonPush(circle, polygon) {
+        if (polygon.length < 3) {
+            return null;
+        }
+        
+        // Find the nearest point on the outline
+        let nearest = null;
+        let nearestDistance = Infinity;
+        let nearestEdge = null;
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            const point = closestPointOnSegment(circle, a, b);
+            const distance = Math.hypot(circle.x - point.x, circle.y - point.y);
+            
+            if (distance < nearestDistance) {
+                nearest = point;
+                nearestDistance = distance;
+                nearestEdge = {a, b};
+            }
+        }
+        
+        const inside = pointInPolygon(circle, polygon);
+        if (!inside && nearestDistance >= circle.radius) {
+            return null;
+        }
+        
+        // Direction from the outline out to the center, flipped when inside
+        let nx;
+        let ny;
+        if (nearestDistance > 0) {
+            nx = (circle.x - nearest.x) / nearestDistance;
+            ny = (circle.y - nearest.y) / nearestDistance;
+            if (inside) {
+                nx = -nx;
+                ny = -ny;
+            }
+        } else {
+            // Center exactly on the outline: use the edge normal facing out
+            const edgeX = nearestEdge.b.x - nearestEdge.a.x;
+            const edgeY = nearestEdge.b.y - nearestEdge.a.y;
+            const length = Math.hypot(edgeX, edgeY);
+            nx = edgeY / length;
+            ny = -edgeX / length;
+            if (pointInPolygon({x: nearest.x + nx, y: nearest.y + ny}, polygon)) {
+                nx = -nx;
+                ny = -ny;
+            }
+        }
+        
+        const depth = inside ? circle.radius + nearestDistance : circle.radius - nearestDistance;
+        return {x: nx * depth, y: ny * depth};
+    }
+    
+    return {
+        lineIntersection,
+        raySegmentDistance,
+        getObstacleSegments,
+        segmentCircleIntersections,
+        computeVisibilityPolygon,
+        isAngleInArc,
+        pointInPolygon,
+        closestPointOnSegment,
+        circleCirclePush,
+        circleRectanglePush,
+        circlePolygonPush,
+        polygonSignedArea,
+        polygonCentroid,
+        isSimplePolygon
+    };
+});
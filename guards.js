@@ -0,0 +1,289 @@
+/**
+ * Shadow Escape - Guards
+ *
+ * Guards patrol a scripted route, looking ahead of them with a cone of
+ * vision that obstacles block. Unlike lights they see the player whether or
+ * not the player is lit, and they react: a glimpse makes a guard suspicious,
+ * a longer look raises the alarm and sends it after the player, and once the
+ * player slips out of sight it searches where they were last seen before
+ * giving up and returning to its route.
+ *
+ * A guard that can see the player raises the danger meter, faster than a
+ * light does and faster still once it is alert. Guards use no randomness,
+ * so they play out the same in replays.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./geometry.js'));
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory(root.Nolhyte));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { lineIntersection, getObstacleSegments, computeVisibilityPolygon, isAngleInArc } = deps;
+    
+    // What a guard is doing
+    const GUARD_STATE = {
+        PATROL: 'patrol',         // Following its route
+        SUSPICIOUS: 'suspicious', // Glimpsed the player, stopped to look
+        ALERT: 'alert',           // Chasing the player
+        SEARCH: 'search'          // Lost the player, looking where they were last seen
+    };
+    
+    // How fast a guard that sees the player fills the danger meter, relative
+    // to a light shining fully on the player
+    const GUARD_THREAT = {
+        suspicious: 1.5,
+        alert: 3
+    };
+    
+    const NOTICE_TIME = 900; // Milliseconds of looking at the player up close before the alarm is raised
+    const FORGET_TIME = 2500; // Milliseconds out of sight for a suspicious guard to calm down
+    const SEARCH_TIME = 5000; // Milliseconds spent searching before returning to patrol
+    const RETURN_TIME = 6000; // Milliseconds walking back to the route before giving up and stepping onto it
+    const TURN_SPEED = 0.006; // Radians per millisecond
+    const ARRIVAL_DISTANCE = 2; // How close counts as having reached a point
+    const VISION_RAYS = 48; // Rays tracing the edge of the vision cone, per full circle
+    
+    /**
+     * Gets the signed difference between two angles
+     * @param {number} from - Start angle in radians
+     * @param {number} to - End angle in radians
+     * @returns {number} Shortest turn from one to the other, between -π and π
+     */
+    function angleDifference(from, to) {
+        const fullTurn = Math.PI * 2;
+        let difference = (to - from) % fullTurn;
+        if (difference > Math.PI) difference -= fullTurn;
+        if (difference < -Math.PI) difference += fullTurn;
+        return difference;
+    }
+    
+    /**
+     * Guard class
+     * A patrolling enemy with a cone of vision
+     */
+    class Guard {
+        /**
+         * Creates a guard at the start of its route
+         * @param {Path} path - Route to patrol, followed by the guard's own patrol clock
+         * @param {Object} options - Optional overrides
+         * @param {number} options.visionRange - How far the guard sees
+         * @param {number} options.visionWidth - Width of the vision cone in radians
+         * @param {number} options.chaseSpeed - Pixels per millisecond when alert or searching
+         */
+        constructor(path, options = {}) {
+            this.path = path;
+            this.radius = 12;
+            this.color = '#c33';
+            this.visionRange = options.visionRange || 200;
+            this.visionWidth = options.visionWidth || Math.PI / 3;
+            this.chaseSpeed = options.chaseSpeed || 0.15;
+            this.visionRegion = []; // Vision cone from the last update, for drawing
+            this.reset();
+        }
+        
+        /**
+         * Puts the guard back at the start of its route, unaware of the player
+         */
+        reset() {
+            const start = this.path.getPosition(0);
+            const next = this.path.getPosition(16);
+            this.x = start.x;
+            this.y = start.y;
+            this.facing = Math.atan2(next.y - start.y, next.x - start.x);
+            this.state = GUARD_STATE.PATROL;
+            this.patrolTime = 0; // Time spent patrolling, which drives the position along the route
+            this.awareness = 0; // How sure the guard is it saw someone, 0 to 1
+            this.seesPlayer = false;
+            this.lastSeen = null; // Where the player was last seen {x, y}
+            this.searchTime = 0; // Time left to search
+            this.returnTime = 0; // Time spent walking back to the route
+        }
+        
+        /**
+         * Gets the slice of directions the guard looks in
+         * @returns {Object} Arc {start, width} in radians
+         */
+        getArc() {
+            return {start: this.facing - this.visionWidth / 2, width: this.visionWidth};
+        }
+        
+        /**
+         * Checks if the guard can see a point
+         * The point must be in range and inside the cone, with no obstacle
+         * edge crossing the line to it
+         * @param {Object} point - Point {x, y}
+         * @param {Array} obstacles - Obstacles that block the view
+         * @returns {boolean} True if the point is in view
+         */
+        canSee(point, obstacles) {
+            const dx = point.x - this.x;
+            const dy = point.y - this.y;
+            if (dx * dx + dy * dy > this.visionRange * this.visionRange) {
+                return false;
+            }
+            if (!isAngleInArc(Math.atan2(dy, dx), this.getArc())) {
+                return false;
+            }
+            
+            return !obstacles.some(obstacle => {
+                const corners = obstacle.getCorners(this, this.visionRange);
+                return corners.some((corner, i) => {
+                    const next = corners[(i + 1) % corners.length];
+                    return lineIntersection(this.x, this.y, point.x, point.y, corner.x, corner.y, next.x, next.y);
+                });
+            });
+        }
+        
+        /**
+         * Gets how fast the guard is filling the danger meter
+         * @returns {number} Rate relative to a light shining fully on the player, 0 when the player is out of sight
+         */
+        getThreat() {
+            return this.seesPlayer ? GUARD_THREAT[this.state] || 0 : 0;
+        }
+        
+        /**
+         * Updates what the guard knows and where it goes
+         * @param {number} deltaTime - Time elapsed since last frame
+         * @param {World} world - World the guard patrols
+         */
+        update(deltaTime, world) {
+            const player = world.player;
+            this.seesPlayer = this.canSee(player, world.getObstaclesAlong(this, player));
+            
+            if (this.seesPlayer) {
+                this.lastSeen = {x: player.x, y: player.y};
+                // Closer players are noticed faster
+                const distance = Math.hypot(player.x - this.x, player.y - this.y);
+                const closeness = 1 - 0.5 * distance / this.visionRange;
+                this.awareness = Math.min(1, this.awareness + deltaTime * closeness / NOTICE_TIME);
+            } else if (this.state !== GUARD_STATE.ALERT) {
+                this.awareness = Math.max(0, this.awareness - deltaTime / FORGET_TIME);
+            }
+            
+            switch (this.state) {
+                case GUARD_STATE.PATROL:
+                    if (this.seesPlayer) {
+                        this.state = GUARD_STATE.SUSPICIOUS;
+                    } else {
+                        this.patrol(deltaTime, world);
+                    }
+                    break;
+                
+                case GUARD_STATE.SUSPICIOUS:
+                    // Stop and stare at where the player was
+                    this.turnTowards(this.lastSeen, deltaTime);
+                    if (this.awareness >= 1) {
+                        this.state = GUARD_STATE.ALERT;
+                    } else if (this.awareness <= 0) {
+                        this.state = GUARD_STATE.PATROL;
+                    }
+                    break;
+                
+                case GUARD_STATE.ALERT:
+                    if (this.seesPlayer) {
+                        this.moveTowards(this.lastSeen, this.chaseSpeed, deltaTime, world);
+                    } else {
+                        this.state = GUARD_STATE.SEARCH;
+                        this.searchTime = SEARCH_TIME;
+                    }
+                    break;
+                
+                case GUARD_STATE.SEARCH:
+                    if (this.seesPlayer) {
+                        this.state = GUARD_STATE.ALERT;
+                        this.awareness = 1;
+                        break;
+                    }
+                    
+                    this.searchTime -= deltaTime;
+                    if (this.searchTime <= 0) {
+                        this.state = GUARD_STATE.PATROL;
+                        this.awareness = 0;
+                    } else if (!this.moveTowards(this.lastSeen, this.chaseSpeed, deltaTime, world)) {
+                        // Look around once there
+                        this.facing += TURN_SPEED * 0.5 * deltaTime;
+                    }
+                    break;
+            }
+            
+            this.visionRegion = computeVisibilityPolygon(
+                this, getObstacleSegments(world.getObstaclesNear(this, this.visionRange), this, this.visionRange), this.visionRange, VISION_RAYS, this.getArc()
+            );
+        }
+        
+        /**
+         * Follows the route, first walking back to it if the guard strayed
+         * A guard that can't get back, as when a wall stands between it and
+         * the route, gives up after a while and steps straight onto it
+         * @param {number} deltaTime - Time elapsed since last frame
+         * @param {World} world - World the guard patrols
+         */
+        patrol(deltaTime, world) {
+            const onRoute = this.path.getPosition(this.patrolTime);
+            if (Math.hypot(onRoute.x - this.x, onRoute.y - this.y) > ARRIVAL_DISTANCE) {
+                this.returnTime += deltaTime;
+                if (this.returnTime < RETURN_TIME) {
+                    this.moveTowards(onRoute, this.chaseSpeed, deltaTime, world);
+                    return;
+                }
+                this.x = onRoute.x;
+                this.y = onRoute.y;
+            }
+            
+            this.returnTime = 0;
+            this.patrolTime += deltaTime;
+            const next = this.path.getPosition(this.patrolTime);
+            if (next.x !== this.x || next.y !== this.y) {
+                this.facing = Math.atan2(next.y - this.y, next.x - this.x);
+            }
+            this.x = next.x;
+            this.y = next.y;
+        }
+        
+        /**
+         * Walks towards a point, sliding along obstacles in the way
+         * @param {Object} target - Point {x, y}
+         * @param {number} speed - Pixels per millisecond
+         * @param {number} deltaTime - Time elapsed since last frame
+         * @param {World} world - World the guard moves within
+         * @returns {boolean} True while still on the way, false once there
+         */
+        moveTowards(target, speed, deltaTime, world) {
+            const dx = target.x - this.x;
+            const dy = target.y - this.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance <= ARRIVAL_DISTANCE) {
+                return false;
+            }
+            
+            this.turnTowards(target, deltaTime);
+            const step = Math.min(distance, speed * deltaTime);
+            this.x += dx / distance * step;
+            this.y += dy / distance * step;
+            world.getSolidObstacles().forEach(obstacle => {
+                const push = obstacle.getCollisionPush(this);
+                if (push) {
+                    this.x += push.x;
+                    this.y += push.y;
+                }
+            });
+            return true;
+        }
+        
+        /**
+         * Turns the guard's view towards a point, no faster than it can turn
+         * @param {Object} target - Point {x, y}
+         * @param {number} deltaTime - Time elapsed since last frame
+         */
+        turnTowards(target, deltaTime) {
+            const turn = angleDifference(this.facing, Math.atan2(target.y - this.y, target.x - this.x));
+            const maxTurn = TURN_SPEED * deltaTime;
+            this.facing += Math.max(-maxTurn, Math.min(maxTurn, turn));
+        }
+    }
+    
+    return { Guard, GUARD_STATE, GUARD_THREAT };
+});
@@ -0,0 +1,327 @@
+/**
+ * Shadow Escape - Input
+ *
+ * Turns keyboard, mouse, gamepad and touch input into two things the game
+ * understands: a movement direction (or a point to walk to) and named
+ * actions such as toggling sound. Keys are looked up through remappable
+ * bindings, so each key means exactly one thing. The handle* methods take
+ * plain values rather than DOM events, so input can be driven from Node.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Key bindings, by action; keys are KeyboardEvent.key values in lower case
+    const DEFAULT_BINDINGS = {
+        up: ['w', 'arrowup'],
+        down: ['s', 'arrowdown'],
+        left: ['a', 'arrowleft'],
+        right: ['d', 'arrowright'],
+        toggleSound: ['m'],
+        togglePerformance: ['p'],
+        toggleShadowQuality: ['q'],
+        toggleLightingDebug: ['v'],
+        pause: ['escape'],
+        watchReplay: ['r'],
+        replayToggle: [' '],
+        replaySlower: ['['],
+        replayFaster: [']'],
+        replayBack: [','],
+        replayForward: ['.']
+    };
+    
+    // Actions that are held down to move rather than pressed once
+    const MOVEMENT_ACTIONS = ['up', 'down', 'left', 'right'];
+    
+    // Stick deflection ignored as noise, as a fraction of full tilt
+    const GAMEPAD_DEADZONE = 0.2;
+    
+    // How far a finger drags from where it touched down for full speed, in pixels
+    const JOYSTICK_RADIUS = 60;
+    
+    /**
+     * Gets the browser's connected gamepads, if it has the Gamepad API
+     * @returns {Array} Gamepads, possibly with empty slots
+     */
+    function getBrowserGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads());
+    }
+    
+    /**
+     * Scales a vector down to at most unit length
+     * @param {number} x - X component
+     * @param {number} y - Y component
+     * @returns {Object} Vector {x, y} no longer than 1
+     */
+    function clampToUnit(x, y) {
+        const length = Math.sqrt(x * x + y * y);
+        return length > 1 ? {x: x / length, y: y / length} : {x, y};
+    }
+    
+    /**
+     * Input controller
+     * Tracks held keys, the pointer, touch joystick and gamepads
+     */
+    class InputController {
+        /**
+         * Creates an input controller
+         * @param {Object} options - Optional overrides
+         * @param {Object} options.bindings - Keys per action, replacing the defaults for those actions
+         * @param {Function} options.getGamepads - Returns the connected gamepads (defaults to the Gamepad API)
+         */
+        constructor(options = {}) {
+            this.bindings = {};
+            this.keyActions = new Map(); // Key to the action it is bound to
+            this.heldKeys = new Set(); // Bound movement keys currently down
+            this.pointerTarget = null; // Latest pointer position not yet handed to the game
+            this.touch = null; // Active virtual joystick {id, originX, originY, x, y}
+            this.getGamepads = options.getGamepads || getBrowserGamepads;
+            this.onAction = null; // Called with the name of each pressed action
+            
+            const bindings = Object.assign({}, DEFAULT_BINDINGS, options.bindings);
+            Object.keys(bindings).forEach(action => {
+                this.bind(action, bindings[action]);
+            });
+        }
+        
+        /**
+         * Binds keys to an action, replacing its previous keys
+         * A key taken from another action is unbound from it
+         * @param {string} action - Action name
+         * @param {Array} keys - Keys to bind
+         */
+        bind(action, keys) {
+            (this.bindings[action] || []).forEach(key => this.keyActions.delete(key));
+            this.bindings[action] = [];
+            
+            keys.map(key => key.toLowerCase()).forEach(key => {
+                const previous = this.keyActions.get(key);
+                if (previous) {
+                    this.bindings[previous] = this.bindings[previous].filter(bound => bound !== key);
+                }
+                this.keyActions.set(key, action);
+                this.bindings[action].push(key);
+            });
+        }
+        
+        /**
+         * Handles a key being pressed
+         * @param {string} key - KeyboardEvent.key value
+         * @param {boolean} repeat - True for auto-repeated presses
+         * @returns {boolean} True if the key is bound to an action
+         */
+        handleKeyDown(key, repeat = false) {
+            const action = this.keyActions.get(key.toLowerCase());
+            if (!action) return false;
+            
+            if (MOVEMENT_ACTIONS.includes(action)) {
+                this.heldKeys.add(key.toLowerCase());
+            } else if (!repeat && this.onAction) {
+                this.onAction(action);
+            }
+            return true;
+        }
+        
+        /**
+         * Handles a key being released
+         * @param {string} key - KeyboardEvent.key value
+         */
+        handleKeyUp(key) {
+            this.heldKeys.delete(key.toLowerCase());
+        }
+        
+        /**
+         * Releases every held key
+         * Keys let go while the window is in the background never report keyup
+         */
+        releaseKeys() {
+            this.heldKeys.clear();
+        }
+        
+        /**
+         * Checks if any key bound to an action is held down
+         * @param {string} action - Action name
+         * @returns {boolean} True if the action is held
+         */
+        isHeld(action) {
+            return this.bindings[action].some(key => this.heldKeys.has(key));
+        }
+        
+        /**
+         * Handles the mouse moving over the canvas
+         * @param {number} x - Pointer X in canvas coordinates
+         * @param {number} y - Pointer Y in canvas coordinates
+         */
+        handleMouseMove(x, y) {
+            this.pointerTarget = {x, y};
+        }
+        
+        /**
+         * Handles a finger touching down, starting a virtual joystick there
+         * @param {number} id - Touch identifier
+         * @param {number} x - Touch X in canvas coordinates
+         * @param {number} y - Touch Y in canvas coordinates
+         */
+        handleTouchStart(id, x, y) {
+            if (this.touch) return;
+            this.touch = {id, originX: x, originY: y, x, y};
+        }
+        
+        /**
+         * Handles a finger dragging the virtual joystick
+         * @param {number} id - Touch identifier
+         * @param {number} x - Touch X in canvas coordinates
+         * @param {number} y - Touch Y in canvas coordinates
+         */
+        handleTouchMove(id, x, y) {
+            if (!this.touch || this.touch.id !== id) return;
+            this.touch.x = x;
+            this.touch.y = y;
+        }
+        
+        /**
+         * Handles a finger lifting, releasing the virtual joystick
+         * @param {number} id - Touch identifier
+         */
+        handleTouchEnd(id) {
+            if (this.touch && this.touch.id === id) {
+                this.touch = null;
+            }
+        }
+        
+        /**
+         * Gets the virtual joystick to draw, if a finger is down
+         * @returns {Object|null} Joystick {originX, originY, x, y, radius} with the knob clamped to the radius
+         */
+        getJoystick() {
+            if (!this.touch) return null;
+            
+            const knob = clampToUnit(
+                (this.touch.x - this.touch.originX) / JOYSTICK_RADIUS,
+                (this.touch.y - this.touch.originY) / JOYSTICK_RADIUS
+            );
+            return {
+                originX: this.touch.originX,
+                originY: this.touch.originY,
+                x: this.touch.originX + knob.x * JOYSTICK_RADIUS,
+                y: this.touch.originY + knob.y * JOYSTICK_RADIUS,
+                radius: JOYSTICK_RADIUS
+            };
+        }
+        
+        /**
+         * Reads the left stick of the first connected gamepad
+         * @returns {Object|null} Direction {x, y}, or null if the stick is centered
+         */
+        getGamepadDirection() {
+            const gamepad = this.getGamepads().find(pad => pad && pad.connected && pad.axes.length >= 2);
+            if (!gamepad) return null;
+            
+            const stick = clampToUnit(gamepad.axes[0], gamepad.axes[1]);
+            const tilt = Math.sqrt(stick.x * stick.x + stick.y * stick.y);
+            if (tilt < GAMEPAD_DEADZONE) return null;
+            
+            // Rescale so speed starts from zero at the edge of the deadzone
+            const scale = (tilt - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE) / tilt;
+            return {x: stick.x * scale, y: stick.y * scale};
+        }
+        
+        /**
+         * Gets the direction the player is asking to move in
+         * Keys win over the touch joystick, which wins over the gamepad
+         * @returns {Object|null} Direction {x, y} no longer than 1, or null without directional input
+         */
+        getMovement() {
+            if (MOVEMENT_ACTIONS.some(action => this.isHeld(action))) {
+                const x = (this.isHeld('right') ? 1 : 0) - (this.isHeld('left') ? 1 : 0);
+                const y = (this.isHeld('down') ? 1 : 0) - (this.isHeld('up') ? 1 : 0);
+                return clampToUnit(x, y);
+            }
+            
+            if (this.touch) {
+                const joystick = this.getJoystick();
+                return {
+                    x: (joystick.x - joystick.originX) / JOYSTICK_RADIUS,
+                    y: (joystick.y - joystick.originY) / JOYSTICK_RADIUS
+                };
+            }
+            
+            return this.getGamepadDirection();
+        }
+        
+        /**
+         * Takes the point the pointer last moved to
+         * Each position is handed out once, so a still mouse does not
+         * override other input
+         * @returns {Object|null} Point {x, y}, or null if the pointer hasn't moved
+         */
+        takePointerTarget() {
+            const target = this.pointerTarget;
+            this.pointerTarget = null;
+            return target;
+        }
+        
+        /**
+         * Forgets pointer and touch input, e.g. when a level starts
+         * Held keys are kept since they are still physically down
+         */
+        reset() {
+            this.pointerTarget = null;
+            this.touch = null;
+        }
+        
+        /**
+         * Listens for input events on a canvas and the document
+         * Browser only
+         * @param {HTMLCanvasElement} canvas - Canvas whose coordinates input is mapped to
+         */
+        attach(canvas) {
+            const toCanvas = (clientX, clientY) => {
+                const rect = canvas.getBoundingClientRect();
+                return {
+                    x: (clientX - rect.left) * (canvas.width / rect.width),
+                    y: (clientY - rect.top) * (canvas.height / rect.height)
+                };
+            };
+            
+            // Keyboard
+            document.addEventListener('keydown', e => {
+                if (this.handleKeyDown(e.key, e.repeat)) {
+                    e.preventDefault();
+                }
+            });
+            document.addEventListener('keyup', e => {
+                this.handleKeyUp(e.key);
+            });
+            window.addEventListener('blur', () => {
+                this.releaseKeys();
+            });
+            
+            // Mouse
+            canvas.addEventListener('mousemove', e => {
+                const point = toCanvas(e.clientX, e.clientY);
+                this.handleMouseMove(point.x, point.y);
+            });
+            
+            // Touch joystick
+            const eachTouch = handler => e => {
+                e.preventDefault();
+                Array.from(e.changedTouches).forEach(touch => {
+                    const point = toCanvas(touch.clientX, touch.clientY);
+                    handler(touch.identifier, point.x, point.y);
+                });
+            };
+            canvas.addEventListener('touchstart', eachTouch((id, x, y) => this.handleTouchStart(id, x, y)), {passive: false});
+            canvas.addEventListener('touchmove', eachTouch((id, x, y) => this.handleTouchMove(id, x, y)), {passive: false});
+            canvas.addEventListener('touchend', eachTouch(id => this.handleTouchEnd(id)), {passive: false});
+            canvas.addEventListener('touchcancel', eachTouch(id => this.handleTouchEnd(id)), {passive: false});
+        }
+    }
+    
+    return { InputController, DEFAULT_BINDINGS };
+});
@@ -0,0 +1,557 @@
+/**
+ * Shadow Escape - Level Generator
+ *
+ * Procedurally builds levels into a world: obstacle count, shapes and light
+ * behaviour scale with the level number. All randomness comes from the
+ * world's seeded generator, so a seed always builds the same level.
+ *
+ * Random layouts are checked for fairness before they are used. Obstacles
+ * are re-rolled until they keep clear of each other and of the spawn point,
+ * and lights are re-rolled until a simulated run of their movement leaves
+ * enough of the arena in shadow and the spawn point dark. That run is slow,
+ * so it measures the shadow only a few times, re-rolling stops after a fixed
+ * amount of work, and the layout it settles on is remembered: building one
+ * of the latest levels again, as restarts and replays do, re-rolls straight
+ * to it without checking.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./entities.js'),
+            require('./random.js'),
+            require('./objectives.js')
+        ));
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory(root.Nolhyte));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { RectangleObstacle, CircleObstacle, PolygonObstacle, LightSource, Random, SurviveObjective } = deps;
+    
+    // Distance from the spawn point that obstacles keep clear of
+    const SPAWN_CLEARANCE = 60;
+    
+    // Space left between obstacles, wide enough for the player to pass
+    const OBSTACLE_GAP = 40;
+    
+    // Tries at placing one obstacle before leaving it out
+    const MAX_PLACEMENT_ATTEMPTS = 30;
+    
+    // Tries at placing the lights before settling for the fairest layout
+    const MAX_LIGHT_ATTEMPTS = 10;
+    
+    // Lit regions the fairness checks of one level may compute between them;
+    // no try is started that could go over
+    const MAX_CHECK_REGIONS = 120;
+    
+    // Smallest share of the arena that must stay in shadow at any time
+    const MIN_SAFE_ZONE = 0.1;
+    
+    // Spacing of the points sampled for shadow, in pixels
+    const SHADOW_SAMPLE_SPACING = 40;
+    
+    // Simulation step of the fairness check, in milliseconds
+    const VALIDATION_STEP = 16;
+    
+    // Times the shadow is measured over the simulated run, after the start;
+    // each costs a lit region per light, which dominates the check
+    const SHADOW_CHECKS = 8;
+    
+    // Bounds on how long the lights are simulated for; a full circuit of the
+    // slowest circling light is used when it falls in between
+    const MIN_VALIDATION_TIME = 10000;
+    const MAX_VALIDATION_TIME = 30000;
+    
+    // Time at the start of a level during which the spawn point must stay dark
+    const SPAWN_GRACE_TIME = 2000;
+    
+    // Light layouts the fairness check settled on, by the level they were
+    // generated for: {attempts, kept, dropped}, see generateLightSources().
+    // Only the latest are kept, enough for restarting or replaying a level
+    const chosenLightLayouts = new Map();
+    const MAX_CHOSEN_LAYOUTS = 16;
+    
+    /**
+     * Remembers the light layout chosen for a level, forgetting the oldest
+     * once more than MAX_CHOSEN_LAYOUTS are remembered
+     * @param {string} levelKey - Level the layout was chosen for
+     * @param {Object} layout - Layout {attempts, kept, dropped}
+     */
+    function rememberLightLayout(levelKey, layout) {
+        chosenLightLayouts.delete(levelKey);
+        chosenLightLayouts.set(levelKey, layout);
+        if (chosenLightLayouts.size > MAX_CHOSEN_LAYOUTS) {
+            chosenLightLayouts.delete(chosenLightLayouts.keys().next().value);
+        }
+    }
+    
+    /**
+     * Copies a light so it can be simulated without disturbing the original
+     * @param {LightSource} light - Light to copy
+     * @returns {LightSource} Independent copy of the same class
+     */
+    function cloneLight(light) {
+        const copy = Object.assign(Object.create(Object.getPrototypeOf(light)), light);
+        copy.linearDirection = Object.assign({}, light.linearDirection);
+        return copy;
+    }
+    
+    /**
+     * Level generator
+     * Creates game levels with obstacles and light sources
+     */
+    const levelGenerator = {
+        /**
+         * Generates a level based on level number
+         * @param {World} world - World to populate
+         * @param {number} levelNum - Level number to generate
+         * @param {number} difficulty - Difficulty multiplier for light speed
+         * @returns {Object} Level parameters
+         */
+        generateLevel: function(world, levelNum, difficulty = 1.0) {
+            // Everything the level is built from, so a level built before can be recognised
+            const levelKey = [world.random.state, levelNum, difficulty, world.width, world.height].join(',');
+            
+            // Set level parameters based on level number
+            const params = this.getLevelParameters(levelNum, difficulty);
+            
+            // Create obstacles
+            this.generateObstacles(world, params);
+            
+            // Create light sources
+            this.generateLightSources(world, params, levelKey);
+            
+            // Set win condition and darkness
+            world.setObjective(new SurviveObjective());
+            world.levelDuration = params.timeToSurvive;
+            world.ambientLight = params.ambientLight;
+            
+            return params;
+        },
+        
+        /**
+         * Gets level parameters based on level number
+         * @param {number} levelNum - Level number
+         * @param {number} difficulty - Difficulty multiplier for light speed
+         * @returns {Object} Level parameters
+         */
+        getLevelParameters: function(levelNum, difficulty = 1.0) {
+            // Base parameters
+            const params = {
+                numObstacles: 3 + levelNum,
+                obstacleTypes: ['rectangle'],
+                numLightSources: 1,
+                lightIntensity: 300,
+                lightSpeed: 0.001 * difficulty,
+                timeToSurvive: 30000, // 30 seconds
+                ambientLight: Math.max(0.1, 0.22 - levelNum * 0.02), // Darker with level
+                safeZonePercentage: Math.max(MIN_SAFE_ZONE, 0.4 - (levelNum * 0.05)) // Decreases with level
+            };
+            
+            // Adjust parameters based on level
+            if (levelNum >= 2) {
+                params.obstacleTypes.push('circle');
+                params.lightSpeed *= 1.2;
+            }
+            
+            if (levelNum >= 3) {
+                params.obstacleTypes.push('polygon');
+                params.numLightSources = 2;
+                params.timeToSurvive = 35000; // 35 seconds
+            }
+            
+            if (levelNum >= 4) {
+                params.lightIntensity = 320;
+                params.lightSpeed *= 1.3;
+                params.timeToSurvive = 40000; // 40 seconds
+            }
+            
+            if (levelNum >= 5) {
+                params.numLightSources = 3;
+                params.lightIntensity = 350;
+                params.timeToSurvive = 45000; // 45 seconds
+            }
+            
+            // Endless mode keeps ramping past level 5
+            if (levelNum > 5) {
+                const extra = levelNum - 5;
+                params.numObstacles = Math.min(14, params.numObstacles);
+                params.numLightSources = Math.min(6, 3 + Math.floor(extra / 2));
+                params.lightIntensity = Math.min(450, 350 + extra * 10);
+            }
+            
+            return params;
+        },
+        
+        /**
+         * Generates obstacles for a level
+         * Each obstacle is re-rolled until it keeps clear of the spawn point
+         * and the obstacles already placed; one that never fits is left out
+         * @param {World} world - World to populate
+         * @param {Object} params - Level parameters
+         */
+        generateObstacles: function(world, params) {
+            const random = world.random;
+            
+            // Clear existing obstacles
+            world.obstacles.length = 0;
+            
+            // Create obstacles
+            for (let i = 0; i < params.numObstacles; i++) {
+                // Choose random obstacle type from available types
+                const obstacleType = random.pick(params.obstacleTypes);
+                
+                for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS; attempt++) {
+                    const obstacle = this.createObstacle(world, obstacleType);
+                    if (obstacle && this.isPlacementClear(world, obstacle)) {
+                        world.addObstacle(obstacle);
+                        break;
+                    }
+                }
+            }
+        },
+        
+        /**
+         * Creates an obstacle of a type at a random place in the arena
+         * @param {World} world - World whose arena and generator to use
+         * @param {string} obstacleType - 'rectangle', 'circle' or 'polygon'
+         * @returns {Obstacle|undefined} New obstacle, not yet added to the world
+         */
+        createObstacle: function(world, obstacleType) {
+            const random = world.random;
+            
+            switch (obstacleType) {
+                case 'rectangle':
+                    const width = random.range(50, 150);
+                    const height = random.range(50, 150);
+                    const x = random.range(0, world.width - width);
+                    const y = random.range(0, world.height - height);
+                    return new RectangleObstacle(x, y, width, height);
+                
+                case 'circle':
+                    const radius = random.range(25, 75);
+                    const cx = random.range(radius, world.width - radius);
+                    const cy = random.range(radius, world.height - radius);
+                    return new CircleObstacle(cx, cy, radius);
+                
+                case 'polygon':
+                    const numPoints = 3 + random.int(3); // 3-5 points
+                    const centerX = random.range(100, world.width - 100);
+                    const centerY = random.range(100, world.height - 100);
+                    const size = random.range(30, 80);
+                    
+                    const points = [];
+                    for (let j = 0; j < numPoints; j++) {
+                        const angle = (j / numPoints) * Math.PI * 2;
+                        const pointRadius = size * random.range(0.8, 1.2);
+                        points.push({
+                            x: centerX + Math.cos(angle) * pointRadius,
+                            y: centerY + Math.sin(angle) * pointRadius
+                        });
+                    }
+                    
+                    return new PolygonObstacle(points);
+            }
+        },
+        
+        /**
+         * Checks that an obstacle keeps clear of the spawn point and of the
+         * obstacles already in the world
+         * @param {World} world - World the obstacle would be added to
+         * @param {Obstacle} obstacle - Obstacle to check
+         * @returns {boolean} True if the obstacle can be placed
+         */
+        isPlacementClear: function(world, obstacle) {
+            const spawn = world.getSpawnPoint();
+            if (obstacle.getCollisionPush({x: spawn.x, y: spawn.y, radius: SPAWN_CLEARANCE})) {
+                return false;
+            }
+            
+            const bounds = obstacle.getBounds();
+            return world.obstacles.every(other => {
+                const otherBounds = other.getBounds();
+                return bounds.x + bounds.width + OBSTACLE_GAP <= otherBounds.x ||
+                    otherBounds.x + otherBounds.width + OBSTACLE_GAP <= bounds.x ||
+                    bounds.y + bounds.height + OBSTACLE_GAP <= otherBounds.y ||
+                    otherBounds.y + otherBounds.height + OBSTACLE_GAP <= bounds.y;
+            });
+        },
+        
+        /**
+         * Generates light sources for a level
+         * Lights are re-rolled until they pass the fairness check, for at
+         * most MAX_LIGHT_ATTEMPTS rolls and MAX_CHECK_REGIONS lit regions;
+         * if no roll passes, the fairest one is kept and any light that still
+         * reaches the spawn point is left out. Given a level key, the
+         * outcome is remembered and a level with the same key reuses it
+         * @param {World} world - World to populate
+         * @param {Object} params - Level parameters
+         * @param {string} levelKey - Identifies the level being built, null to always check
+         */
+        generateLightSources: function(world, params, levelKey = null) {
+            const chosen = levelKey !== null && chosenLightLayouts.get(levelKey);
+            if (chosen) {
+                this.replayLightSources(world, params, chosen);
+                return;
+            }
+            
+            const maxCheckRegions = params.numLightSources * (SHADOW_CHECKS + 1);
+            let best = null;
+            let attempts = 0;
+            let regions = 0;
+            
+            for (let attempt = 0; attempt < MAX_LIGHT_ATTEMPTS; attempt++) {
+                // Don't start a check that could go over the budget
+                if (attempt > 0 && regions + maxCheckRegions > MAX_CHECK_REGIONS) break;
+                attempts++;
+                
+                this.placeLightSources(world, params);
+                const fairness = this.measureFairness(world, params.safeZonePercentage);
+                regions += fairness.shadowChecks * world.lightSources.length;
+                
+                if (this.isFair(fairness, params)) {
+                    if (levelKey !== null) {
+                        rememberLightLayout(levelKey, {attempts: attempt + 1, kept: attempt, dropped: []});
+                    }
+                    return;
+                }
+                if (!best || this.compareFairness(fairness, best.fairness) > 0) {
+                    best = {attempt, lights: world.lightSources.slice(), fairness};
+                }
+            }
+            
+            // Keep the fairest layout, making sure the player starts in the dark
+            world.lightSources.length = 0;
+            best.lights.forEach(light => world.lightSources.push(light));
+            const spawnLights = this.findSpawnLights(world);
+            world.lightSources.length = 0;
+            best.lights
+                .filter(light => !spawnLights.includes(light))
+                .forEach(light => world.lightSources.push(light));
+            
+            if (levelKey !== null) {
+                const dropped = best.lights.map((light, i) => spawnLights.includes(light) ? i : -1).filter(i => i >= 0);
+                rememberLightLayout(levelKey, {attempts, kept: best.attempt, dropped});
+            }
+        },
+        
+        /**
+         * Re-rolls the lights a fairness check settled on before, without checking
+         * Placing lights is what draws from the world's generator, so rolling
+         * the same number of times leaves it exactly as the check did
+         * @param {World} world - World to populate
+         * @param {Object} params - Level parameters
+         * @param {Object} layout - Remembered layout {attempts, kept, dropped}: rolls made, the roll kept and the lights left out of it
+         */
+        replayLightSources: function(world, params, layout) {
+            let kept = [];
+            for (let attempt = 0; attempt < layout.attempts; attempt++) {
+                this.placeLightSources(world, params);
+                if (attempt === layout.kept) {
+                    kept = world.lightSources.slice();
+                }
+            }
+            
+            world.lightSources.length = 0;
+            kept
+                .filter((light, i) => !layout.dropped.includes(i))
+                .forEach(light => world.lightSources.push(light));
+        },
+        
+        /**
+         * Places a fresh set of random light sources, replacing any existing ones
+         * Each light is re-rolled until it keeps away from the spawn point
+         * @param {World} world - World to populate
+         * @param {Object} params - Level parameters
+         */
+        placeLightSources: function(world, params) {
+            const random = world.random;
+            
+            // Clear existing light sources
+            world.lightSources.length = 0;
+            
+            // Create light sources
+            for (let i = 0; i < params.numLightSources; i++) {
+                for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS; attempt++) {
+                    // Choose random position
+                    const x = random.range(100, world.width - 100);
+                    const y = random.range(100, world.height - 100);
+                    
+                    // Choose random movement pattern
+                    const movementPatterns = ['circle', 'linear', 'random'];
+                    const movementPattern = random.pick(movementPatterns);
+                    
+                    // Create light source
+                    const light = new LightSource(
+                        x, y, 10, '#ffff00',
+                        params.lightIntensity,
+                        params.lightSpeed * random.range(0.8, 1.2)
+                    );
+                    
+                    light.movementPattern = movementPattern;
+                    world.addLightSource(light);
+                    
+                    // Keep the last try if none stays clear; generateLightSources() deals with it
+                    if (!this.reachesSpawn(world, light) || attempt === MAX_PLACEMENT_ATTEMPTS - 1) break;
+                    world.lightSources.pop();
+                }
+            }
+        },
+        
+        /**
+         * Checks if a light on its own reaches the spawn point during the grace period
+         * A quick filter; measureFairness() checks the lights together
+         * @param {World} world - World the light is in
+         * @param {LightSource} light - Light to check
+         * @returns {boolean} True if the light reaches the spawn point
+         */
+        reachesSpawn: function(world, light) {
+            const spawn = world.getSpawnPoint();
+            const copy = cloneLight(light);
+            const simulation = {
+                width: world.width,
+                height: world.height,
+                time: 0,
+                random: new Random(world.random.state)
+            };
+            
+            for (let time = 0; time <= SPAWN_GRACE_TIME; time += VALIDATION_STEP) {
+                if (time > 0) {
+                    simulation.time = time;
+                    copy.update(VALIDATION_STEP, simulation);
+                }
+                if (copy.hasLineOfSight(spawn, world.obstacles)) return true;
+            }
+            return false;
+        },
+        
+        /**
+         * Simulates the world's lights through the grace period
+         * Steps copies of the lights and of the random generator exactly as
+         * World.update() will, so the world itself is left as it was
+         * @param {World} world - World with obstacles and lights in place
+         * @param {boolean} firstOnly - Stop at the first light found
+         * @returns {Array} Lights that reach the spawn point during the grace period
+         */
+        findSpawnLights: function(world, firstOnly = false) {
+            const spawn = world.getSpawnPoint();
+            const lights = world.lightSources.map(cloneLight);
+            const simulation = {
+                width: world.width,
+                height: world.height,
+                time: 0,
+                random: new Random(world.random.state)
+            };
+            
+            const spawnLights = [];
+            for (let time = 0; time <= SPAWN_GRACE_TIME; time += VALIDATION_STEP) {
+                if (time > 0) {
+                    simulation.time = time;
+                    lights.forEach(light => light.update(VALIDATION_STEP, simulation));
+                }
+                lights.forEach((light, i) => {
+                    const original = world.lightSources[i];
+                    if (!spawnLights.includes(original) && light.hasLineOfSight(spawn, world.obstacles)) {
+                        spawnLights.push(original);
+                    }
+                });
+                if (firstOnly && spawnLights.length > 0) break;
+            }
+            return spawnLights;
+        },
+        
+        /**
+         * Simulates the world's lights to see how fair the level is
+         * Steps the lights exactly as World.update() will, on copies of the
+         * lights and of the random generator, so the world itself is left as
+         * it was. Once the lights are final this is the level as it will play.
+         * The shadow is only measured SHADOW_CHECKS times after the start,
+         * however long the run, so a check costs at most
+         * SHADOW_CHECKS + 1 lit regions per light.
+         * @param {World} world - World with obstacles and lights in place
+         * @param {number} minShadow - Share of shadow below which to give up early; 0 to always finish
+         * @returns {Object} Fairness {shadowFraction, spawnLights, shadowChecks}: the smallest
+         *     share of open ground in shadow at any sampled time, the lights that
+         *     reach the spawn point during the grace period, and how many times
+         *     the shadow was measured. A check given up early has not seen every
+         *     light that reaches the spawn point.
+         */
+        measureFairness: function(world, minShadow = 0) {
+            const fairness = {shadowFraction: 1, spawnLights: this.findSpawnLights(world, minShadow > 0), shadowChecks: 0};
+            if (minShadow > 0 && fairness.spawnLights.length > 0) return fairness;
+            
+            const player = world.player;
+            const lights = world.lightSources.map(cloneLight);
+            const simulation = {
+                width: world.width,
+                height: world.height,
+                time: 0,
+                random: new Random(world.random.state)
+            };
+            
+            // Sample the ground the player could stand on
+            const samples = [];
+            for (let y = SHADOW_SAMPLE_SPACING / 2; y < world.height; y += SHADOW_SAMPLE_SPACING) {
+                for (let x = SHADOW_SAMPLE_SPACING / 2; x < world.width; x += SHADOW_SAMPLE_SPACING) {
+                    const circle = {x, y, radius: player.radius};
+                    if (!world.obstacles.some(obstacle => obstacle.getCollisionPush(circle))) {
+                        samples.push({x, y});
+                    }
+                }
+            }
+            
+            // Run for one full circuit of the slowest circling light
+            const circuits = lights
+                .filter(light => light.movementPattern === 'circle' && light.rotationSpeed > 0)
+                .map(light => Math.PI * 2 / (light.rotationSpeed * light.movementSpeed));
+            const duration = Math.min(MAX_VALIDATION_TIME, Math.max(MIN_VALIDATION_TIME, ...circuits));
+            const checkInterval = duration / SHADOW_CHECKS;
+            
+            let nextCheck = 0;
+            for (let time = 0; time <= duration; time += VALIDATION_STEP) {
+                if (time > 0) {
+                    simulation.time = time;
+                    lights.forEach(light => light.update(VALIDATION_STEP, simulation));
+                }
+                
+                // Measure the shadow now and then
+                if (time >= nextCheck && samples.length > 0) {
+                    nextCheck += checkInterval;
+                    fairness.shadowChecks++;
+                    lights.forEach(light => light.updateLitRegion(world.obstacles));
+                    const dark = samples.filter(point => !lights.some(light => light.isPointLit(point)));
+                    fairness.shadowFraction = Math.min(fairness.shadowFraction, dark.length / samples.length);
+                    if (fairness.shadowFraction < minShadow) break;
+                }
+            }
+            
+            return fairness;
+        },
+        
+        /**
+         * Checks a measured layout against the level's requirements
+         * @param {Object} fairness - Result of measureFairness()
+         * @param {Object} params - Level parameters
+         * @returns {boolean} True if the spawn stays dark and enough shadow remains
+         */
+        isFair: function(fairness, params) {
+            return fairness.spawnLights.length === 0 && fairness.shadowFraction >= params.safeZonePercentage;
+        },
+        
+        /**
+         * Compares two measured layouts
+         * A dark spawn point matters most, then the amount of shadow
+         * @param {Object} a - Result of measureFairness()
+         * @param {Object} b - Result of measureFairness()
+         * @returns {number} Positive if a is fairer than b
+         */
+        compareFairness: function(a, b) {
+            if (a.spawnLights.length !== b.spawnLights.length) {
+                return b.spawnLights.length - a.spawnLights.length;
+            }
+            return a.shadowFraction - b.shadowFraction;
+        }
+    };
+    
+    return { levelGenerator };
+});
@@ -1,355 +1,781 @@
-// Predefined level layouts for testing
-const predefinedLevels = {
-    // Level 1: Simple introduction with basic obstacles
-    1: {
-        obstacles: [
-            {
-                type: 'rectangle',
-                x: 300,
-                y: 200,
-                width: 100,
-                height: 50
-            },
-            {
-                type: 'rectangle',
-                x: 500,
-                y: 400,
-                width: 80,
-                height: 80
-            },
-            {
-                type: 'rectangle',
-                x: 200,
-                y: 450,
-                width: 120,
-                height: 40
-            }
-        ],
-        lightSources: [
-            {
-                x: 100,
-                y: 100,
-                intensity: 300,
-                speed: 0.001,
-                movementPattern: 'circle'
-            }
-        ],
-        timeToSurvive: 20000 // 20 seconds
-    },
-    
-    // Level 2: Introduces circular obstacles and faster light
-    2: {
-        obstacles: [
-            {
-                type: 'rectangle',
-                x: 250,
-                y: 150,
-                width: 100,
-                height: 60
-            },
-            {
-                type: 'circle',
-                x: 500,
-                y: 300,
-                radius: 50
-            },
-            {
-                type: 'rectangle',
-                x: 150,
-                y: 400,
-                width: 90,
-                height: 90
-            },
-            {
-                type: 'circle',
-                x: 650,
-                y: 450,
-                radius: 40
-            }
-        ],
-        lightSources: [
-            {
-                x: 150,
-                y: 150,
-                intensity: 320,
-                speed: 0.0012,
-                movementPattern: 'linear'
-            }
-        ],
-        timeToSurvive: 25000 // 25 seconds
-    },
+/**
+ * Shadow Escape - Level Layouts
+ *
+ * Hand-made layouts for the eight campaign levels, and the loader that turns
+ * a layout into obstacles and light sources inside a world.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./entities.js'),
+            require('./objectives.js'),
+            require('./paths.js'),
+            require('./guards.js')
+        ));
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory(root.Nolhyte));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { RectangleObstacle, CircleObstacle, PolygonObstacle, DoorObstacle, LightSource, Spotlight, createObjective, Path, Guard } = deps;
     
-    // Level 3: Introduces polygon obstacles and multiple light sources
-    3: {
-        obstacles: [
-            {
-                type: 'rectangle',
-                x: 200,
-                y: 200,
-                width: 120,
+    // Predefined level layouts
+    // Light sources may set `falloff` to 'linear', 'inverseSquare' or a list
+    // of stops {offset, strength}; without it they use the default fade.
+    // A light with `type: 'spotlight'` is a stationary sentry: it shines a
+    // cone `coneWidth` radians wide up to `range`, sweeping `sweep` radians
+    // back and forth around `facing` (0 sweeps all the way round) at `speed`.
+    // Lights may set a CSS `color` (yellow by default); `ambientLight` is how
+    // bright the floor is away from every light, from 0 (black) to 1.
+    // Instead of a movement pattern, a light can follow a scripted `path`:
+    // {points: [{x, y, speed, easing, pause}], mode, curve, speed, easing,
+    // phase}; see Path in paths.js.
+    // Any obstacle may set a `rotation` in radians and a `scale`, both about
+    // its center; polygons may be concave as long as their edges don't cross.
+    // Obstacles can move: with a `path` their center follows it, and with a
+    // `rotationSpeed` (radians per millisecond) they turn about their center.
+    // A `durability` makes one breakable: it shatters after that many
+    // milliseconds of full light. A `type: 'door'` is a rectangle that stays
+    // shut for `closedTime`, slides open and stays open for `openTime`,
+    // starting `phase` milliseconds into that cycle.
+    // Levels may add `guards`, each patrolling a `path` like the above with a
+    // vision cone `visionWidth` radians wide reaching `visionRange`, and
+    // chasing at `chaseSpeed` pixels per millisecond once alerted.
+    // A level is won by surviving for `timeToSurvive` (the world's default
+    // when left out) unless it sets an
+    // `objective`: {type: 'exit', x, y, width, height} to reach a zone,
+    // {type: 'shards', shards: [{x, y}], required} to collect shards, or
+    // {type: 'hold', x, y, radius, time} to spend `time` inside a zone.
+    const predefinedLevels = {
+        // Level 1: Simple introduction with basic obstacles
+        1: {
+            obstacles: [
+                {
+                    type: 'rectangle',
+                    x: 300,
+                    y: 200,
+                    width: 100,
+                    height: 50
+                },
+                {
+                    type: 'rectangle',
+                    x: 500,
+                    y: 400,
+                    width: 80,
+                    height: 80
+                },
+                {
+                    type: 'rectangle',
+                    x: 200,
+                    y: 450,
+                    width: 120,
+                    height: 40
+                }
+            ],
+            lightSources: [
+                {
+                    x: 100,
+                    y: 100,
+                    intensity: 300,
+                    speed: 0.001,
+                    movementPattern: 'circle'
+                }
+            ],
+            ambientLight: 0.2,
+            timeToSurvive: 20000 // 20 seconds
+        },
+        
+        // Level 2: Introduces circular obstacles and faster light
+        2: {
+            obstacles: [
+                {
+                    type: 'rectangle',
+                    x: 250,
+                    y: 150,
+                    width: 100,
+                    height: 60
+                },
+                {
+                    type: 'circle',
+                    x: 500,
+                    y: 300,
+                    radius: 50
+                },
+                {
+                    type: 'rectangle',
+                    x: 150,
+                    y: 400,
+                    width: 90,
+                    height: 90
+                },
+                {
+                    type: 'circle',
+                    x: 650,
+                    y: 450,
+                    radius: 40,
+                    // Rolls up and down the right-hand side
+                    path: {
+                        points: [{x: 650, y: 450}, {x: 650, y: 250}],
+                        mode: 'pingpong',
+                        easing: 'easeInOut',
+                        speed: 0.04
+                    }
+                }
+            ],
+            lightSources: [
+                {
+                    x: 150,
+                    y: 150,
+                    intensity: 320,
+                    speed: 0.0012,
+                    movementPattern: 'linear'
+                }
+            ],
+            ambientLight: 0.18,
+            timeToSurvive: 25000 // 25 seconds
+        },
+        
+        // Level 3: Introduces polygon obstacles and multiple light sources
+        3: {
+            obstacles: [
+                {
+                    type: 'rectangle',
+                    x: 200,
+                    y: 200,
+                    width: 120,
+                    height: 60
+                },
+                {
+                    type: 'circle',
+                    x: 550,
+                    y: 250,
+                    radius: 45
+                },
+                {
+                    type: 'polygon',
+                    points: [
+                        {x: 350, y: 400},
+                        {x: 400, y: 350},
+                        {x: 450, y: 400},
+                        {x: 400, y: 450}
+                    ]
+                },
+                {
+                    type: 'rectangle',
+                    x: 600,
+                    y: 450,
+                    width: 100,
+                    height: 50,
+                    durability: 4000 // Crumbles under the wandering light
+                },
+                {
+                    type: 'polygon',
+                    points: [
+                        {x: 150, y: 350},
+                        {x: 200, y: 300},
+                        {x: 250, y: 350},
+                        {x: 200, y: 400},
+                        {x: 150, y: 350}
+                    ]
+                }
+            ],
+            lightSources: [
+                {
+                    x: 100,
+                    y: 100,
+                    intensity: 330,
+                    speed: 0.0015,
+                    movementPattern: 'circle'
+                },
+                {
+                    x: 700,
+                    y: 500,
+                    intensity: 300,
+                    speed: 0.0012,
+                    movementPattern: 'random',
+                    color: '#66ccff'
+                }
+            ],
+            ambientLight: 0.15,
+            timeToSurvive: 30000 // 30 seconds
+        },
+        
+        // Level 4: More complex with faster lights and more obstacles
+        4: {
+            obstacles: [
+                {
+                    type: 'rectangle',
+                    x: 150,
+                    y: 150,
+                    width: 100,
+                    height: 60,
+                    rotation: Math.PI / 8
+                },
+                {
+                    type: 'circle',
+                    x: 500,
+                    y: 200,
+                    radius: 50
+                },
+                {
+                    type: 'polygon',
+                    points: [
+                        {x: 300, y: 350},
+                        {x: 350, y: 300},
+                        {x: 400, y: 350},
+                        {x: 350, y: 400}
+                    ]
+                },
+                {
+                    type: 'rectangle',
+                    x: 600,
+                    y: 400,
+                    width: 80,
+                    height: 80
+                },
+                {
+                    type: 'circle',
+                    x: 200,
+                    y: 450,
+                    radius: 40
+                },
+                {
+                    type: 'polygon',
+                    points: [
+                        {x: 650, y: 150},
+                        {x: 700, y: 200},
+                        {x: 650, y: 250},
+                        {x: 600, y: 200}
+                    ]
+                },
+                {
+                    // Shades the middle of the arena from the left, but not all the time
+                    type: 'door',
+                    x: 420,
+                    y: 280,
+                    width: 14,
+                    height: 90,
+                    closedTime: 3000,
+                    openTime: 2000
+                }
+            ],
+            lightSources: [
+                {
+                    x: 100,
+                    y: 100,
+                    intensity: 350,
+                    speed: 0.0018,
+                    movementPattern: 'circle'
+                },
+                {
+                    x: 700,
+                    y: 500,
+                    intensity: 320,
+                    speed: 0.0015,
+                    movementPattern: 'linear',
+                    falloff: 'inverseSquare',
+                    color: '#ff8800'
+                },
+                {
+                    type: 'spotlight',
+                    x: 780,
+                    y: 20,
+                    range: 450,
+                    coneWidth: Math.PI / 6,
+                    facing: Math.PI * 3 / 4,
+                    sweep: Math.PI / 2,
+                    speed: 0.0008,
+                    color: '#ffffff'
+                }
+            ],
+            ambientLight: 0.12,
+            timeToSurvive: 35000 // 35 seconds
+        },
+        
+        // Level 5: Toughest survival level, with three light sources and complex obstacles
+        5: {
+            obstacles: [
+                {
+                    // An L-shaped wall with a sheltered corner
+                    type: 'polygon',
+                    points: [
+                        {x: 80, y: 220},
+                        {x: 160, y: 220},
+                        {x: 160, y: 240},
+                        {x: 100, y: 240},
+                        {x: 100, y: 300},
+                        {x: 80, y: 300}
+                    ]
+                },
+                {
+                    type: 'rectangle',
+                    x: 100,
+                    y: 100,
+                    width: 120,
+                    height: 60
+                },
+                {
+                    type: 'circle',
+                    x: 450,
+                    y: 150,
+                    radius: 45
+                },
+                {
+                    type: 'polygon',
+                    points: [
+                        {x: 250, y: 300},
+                        {x: 300, y: 250},
+                        {x: 350, y: 300},
+                        {x: 300, y: 350}
+                    ]
+                },
+                {
+                    type: 'rectangle',
+                    x: 550,
+                    y: 350,
+                    width: 100,
+                    height: 50,
+                    rotationSpeed: 0.0004
+                },
+                {
+                    type: 'circle',
+                    x: 200,
+                    y: 400,
+                    radius: 50
+                },
+                {
+                    type: 'polygon',
+                    points: [
+                        {x: 600, y: 150},
+                        {x: 650, y: 100},
+                        {x: 700, y: 150},
+                        {x: 650, y: 200}
+                    ]
+                },
+                {
+                    type: 'rectangle',
+                    x: 400,
+                    y: 450,
+                    width: 80,
+                    height: 80
+                }
+            ],
+            lightSources: [
+                {
+                    x: 150,
+                    y: 150,
+                    intensity: 350,
+                    speed: 0.002,
+                    movementPattern: 'circle'
+                },
+                {
+                    x: 650,
+                    y: 450,
+                    intensity: 330,
+                    speed: 0.0018,
+                    movementPattern: 'linear',
+                    color: '#66ccff'
+                },
+                {
+                    x: 400,
+                    y: 250,
+                    intensity: 300,
+                    speed: 0.0015,
+                    falloff: 'linear',
+                    color: '#ff4444',
+                    // Patrols the middle, lingering at the corners of its loop
+                    path: {
+                        points: [
+                            {x: 400, y: 250, pause: 1000},
+                            {x: 520, y: 280, easing: 'easeInOut'},
+                            {x: 500, y: 420, pause: 1500},
+                            {x: 330, y: 430, speed: 0.15}
+                        ],
+                        mode: 'loop',
+                        curve: 'bezier',
+                        speed: 0.08
+                    }
+                }
+            ],
+            guards: [
+                {
+                    // Walks the right-hand wall, stopping to look across the arena
+                    path: {
+                        points: [
+                            {x: 740, y: 60, pause: 1500},
+                            {x: 740, y: 300},
+                            {x: 700, y: 550},
+                            {x: 520, y: 560, pause: 1500}
+                        ],
+                        mode: 'pingpong',
+                        speed: 0.06
+                    },
+                    visionRange: 200,
+                    visionWidth: Math.PI / 3
+                }
+            ],
+            ambientLight: 0.1,
+            timeToSurvive: 40000 // 40 seconds
+        },
+        
+        // Level 6: Cross the arena from cover to cover and reach the exit
+        6: {
+            obstacles: [
+                {
+                    type: 'rectangle',
+                    x: 120,
+                    y: 380,
+                    width: 140,
+                    height: 30
+                },
+                {
+                    type: 'circle',
+                    x: 330,
+                    y: 300,
+                    radius: 40
+                },
+                {
+                    type: 'rectangle',
+                    x: 440,
+                    y: 180,
+                    width: 30,
+                    height: 140
+                },
+                {
+                    type: 'polygon',
+                    points: [
+                        {x: 560, y: 120},
+                        {x: 620, y: 90},
+                        {x: 660, y: 150},
+                        {x: 600, y: 190}
+                    ]
+                },
+                {
+                    type: 'rectangle',
+                    x: 620,
+                    y: 300,
+                    width: 120,
+                    height: 30,
+                    rotation: Math.PI / 10
+                }
+            ],
+            lightSources: [
+                {
+                    x: 400,
+                    y: 100,
+                    intensity: 320,
+                    speed: 0.0018,
+                    movementPattern: 'linear'
+                },
+                {
+                    x: 250,
+                    y: 500,
+                    intensity: 300,
+                    speed: 0.0015,
+                    movementPattern: 'circle',
+                    color: '#66ccff'
+                }
+            ],
+            ambientLight: 0.14,
+            objective: {
+                type: 'exit',
+                x: 720,
+                y: 20,
+                width: 60,
                 height: 60
-            },
-            {
-                type: 'circle',
-                x: 550,
-                y: 250,
-                radius: 45
-            },
-            {
-                type: 'polygon',
-                points: [
-                    {x: 350, y: 400},
-                    {x: 400, y: 350},
-                    {x: 450, y: 400},
-                    {x: 400, y: 450}
-                ]
-            },
-            {
-                type: 'rectangle',
-                x: 600,
-                y: 450,
-                width: 100,
-                height: 50
-            },
-            {
-                type: 'polygon',
-                points: [
-                    {x: 150, y: 350},
-                    {x: 200, y: 300},
-                    {x: 250, y: 350},
-                    {x: 200, y: 400},
-                    {x: 150, y: 350}
-                ]
-            }
-        ],
-        lightSources: [
-            {
-                x: 100,
-                y: 100,
-                intensity: 330,
-                speed: 0.0015,
-                movementPattern: 'circle'
-            },
-            {
-                x: 700,
-                y: 500,
-                intensity: 300,
-                speed: 0.0012,
-                movementPattern: 'random'
             }
-        ],
-        timeToSurvive: 30000 // 30 seconds
-    },
-    
-    // Level 4: More complex with faster lights and more obstacles
-    4: {
-        obstacles: [
-            {
-                type: 'rectangle',
-                x: 150,
-                y: 150,
-                width: 100,
-                height: 60
-            },
-            {
-                type: 'circle',
-                x: 500,
-                y: 200,
-                radius: 50
-            },
-            {
-                type: 'polygon',
-                points: [
-                    {x: 300, y: 350},
-                    {x: 350, y: 300},
-                    {x: 400, y: 350},
-                    {x: 350, y: 400}
-                ]
-            },
-            {
-                type: 'rectangle',
-                x: 600,
-                y: 400,
-                width: 80,
-                height: 80
-            },
-            {
-                type: 'circle',
-                x: 200,
-                y: 450,
-                radius: 40
-            },
-            {
-                type: 'polygon',
-                points: [
+        },
+        
+        // Level 7: Collect shards scattered through the light
+        7: {
+            obstacles: [
+                {
+                    type: 'rectangle',
+                    x: 180,
+                    y: 180,
+                    width: 100,
+                    height: 40
+                },
+                {
+                    type: 'circle',
+                    x: 560,
+                    y: 220,
+                    radius: 45
+                },
+                {
+                    type: 'polygon',
+                    points: [
+                        {x: 330, y: 380},
+                        {x: 390, y: 330},
+                        {x: 450, y: 380},
+                        {x: 390, y: 430}
+                    ]
+                },
+                {
+                    type: 'rectangle',
+                    x: 560,
+                    y: 420,
+                    width: 90,
+                    height: 50,
+                    durability: 5000 // Crumbles while you hide behind it
+                },
+                {
+                    type: 'door',
+                    x: 300,
+                    y: 80,
+                    width: 90,
+                    height: 14,
+                    closedTime: 2500,
+                    openTime: 2500
+                }
+            ],
+            lightSources: [
+                {
+                    x: 150,
+                    y: 150,
+                    intensity: 330,
+                    speed: 0.0015,
+                    movementPattern: 'circle'
+                },
+                {
+                    x: 650,
+                    y: 480,
+                    intensity: 300,
+                    speed: 0.0012,
+                    movementPattern: 'random',
+                    color: '#66ccff'
+                }
+            ],
+            ambientLight: 0.13,
+            objective: {
+                type: 'shards',
+                shards: [
+                    {x: 120, y: 250},
+                    {x: 400, y: 120},
                     {x: 650, y: 150},
-                    {x: 700, y: 200},
-                    {x: 650, y: 250},
-                    {x: 600, y: 200}
-                ]
-            }
-        ],
-        lightSources: [
-            {
-                x: 100,
-                y: 100,
-                intensity: 350,
-                speed: 0.0018,
-                movementPattern: 'circle'
-            },
-            {
-                x: 700,
-                y: 500,
-                intensity: 320,
-                speed: 0.0015,
-                movementPattern: 'linear'
-            }
-        ],
-        timeToSurvive: 35000 // 35 seconds
-    },
-    
-    // Level 5: Most challenging with three light sources and complex obstacles
-    5: {
-        obstacles: [
-            {
-                type: 'rectangle',
-                x: 100,
-                y: 100,
-                width: 120,
-                height: 60
-            },
-            {
-                type: 'circle',
-                x: 450,
-                y: 150,
-                radius: 45
-            },
-            {
-                type: 'polygon',
-                points: [
-                    {x: 250, y: 300},
-                    {x: 300, y: 250},
-                    {x: 350, y: 300},
-                    {x: 300, y: 350}
-                ]
-            },
-            {
-                type: 'rectangle',
-                x: 550,
-                y: 350,
-                width: 100,
-                height: 50
-            },
-            {
-                type: 'circle',
-                x: 200,
-                y: 400,
-                radius: 50
-            },
-            {
-                type: 'polygon',
-                points: [
-                    {x: 600, y: 150},
-                    {x: 650, y: 100},
-                    {x: 700, y: 150},
-                    {x: 650, y: 200}
-                ]
-            },
-            {
-                type: 'rectangle',
-                x: 400,
-                y: 450,
-                width: 80,
-                height: 80
+                    {x: 450, y: 550},
+                    {x: 720, y: 350}
+                ],
+                required: 4
             }
-        ],
-        lightSources: [
-            {
-                x: 150,
-                y: 150,
-                intensity: 350,
-                speed: 0.002,
-                movementPattern: 'circle'
-            },
-            {
-                x: 650,
-                y: 450,
-                intensity: 330,
-                speed: 0.0018,
-                movementPattern: 'linear'
-            },
-            {
+        },
+        
+        // Level 8: Hold the zone in the middle while the lights close in
+        8: {
+            obstacles: [
+                {
+                    type: 'rectangle',
+                    x: 150,
+                    y: 150,
+                    width: 100,
+                    height: 60,
+                    rotation: Math.PI / 8
+                },
+                {
+                    type: 'circle',
+                    x: 480,
+                    y: 200,
+                    radius: 35
+                },
+                {
+                    type: 'polygon',
+                    points: [
+                        {x: 430, y: 440},
+                        {x: 480, y: 390},
+                        {x: 530, y: 440},
+                        {x: 480, y: 490}
+                    ]
+                },
+                {
+                    type: 'rectangle',
+                    x: 620,
+                    y: 300,
+                    width: 80,
+                    height: 80
+                },
+                {
+                    type: 'circle',
+                    x: 200,
+                    y: 450,
+                    radius: 40
+                },
+                {
+                    // Shades the zone from the left, but not all the time
+                    type: 'door',
+                    x: 330,
+                    y: 255,
+                    width: 14,
+                    height: 90,
+                    closedTime: 3000,
+                    openTime: 2000
+                }
+            ],
+            lightSources: [
+                {
+                    x: 100,
+                    y: 100,
+                    intensity: 350,
+                    speed: 0.0018,
+                    movementPattern: 'circle'
+                },
+                {
+                    x: 700,
+                    y: 500,
+                    intensity: 320,
+                    speed: 0.0015,
+                    movementPattern: 'linear',
+                    falloff: 'inverseSquare',
+                    color: '#ff8800'
+                },
+                {
+                    type: 'spotlight',
+                    x: 780,
+                    y: 20,
+                    range: 450,
+                    coneWidth: Math.PI / 6,
+                    facing: Math.PI * 3 / 4,
+                    sweep: Math.PI / 2,
+                    speed: 0.0008,
+                    color: '#ffffff'
+                }
+            ],
+            ambientLight: 0.12,
+            objective: {
+                type: 'hold',
                 x: 400,
                 y: 300,
-                intensity: 300,
-                speed: 0.0015,
-                movementPattern: 'random'
+                radius: 45,
+                time: 8000 // 8 seconds
             }
-        ],
-        timeToSurvive: 40000 // 40 seconds
-    }
-};
-
-// Function to load a predefined level
-function loadPredefinedLevel(levelNum) {
-    // Default to level 1 if the requested level doesn't exist
-    const levelData = predefinedLevels[levelNum] || predefinedLevels[1];
-    
-    // Clear existing obstacles and light sources
-    obstacles.length = 0;
-    lightSources.length = 0;
+        }
+    };
     
-    // Create obstacles
-    levelData.obstacles.forEach(obstacleData => {
-        let obstacle;
+    /**
+     * Loads a predefined level into a world
+     * @param {World} world - World to populate
+     * @param {number} levelNum - Level number to load
+     * @returns {Object} Level data that was loaded
+     */
+    function loadPredefinedLevel(world, levelNum) {
+        // Default to level 1 if the requested level doesn't exist
+        const levelData = predefinedLevels[levelNum] || predefinedLevels[1];
         
-        switch (obstacleData.type) {
-            case 'rectangle':
-                obstacle = new RectangleObstacle(
-                    obstacleData.x,
-                    obstacleData.y,
-                    obstacleData.width,
-                    obstacleData.height
-                );
-                break;
+        // Clear existing obstacles, light sources and guards
+        world.clear();
+        
+        // Create obstacles
+        levelData.obstacles.forEach(obstacleData => {
+            let obstacle;
+            
+            switch (obstacleData.type) {
+                case 'rectangle':
+                    obstacle = new RectangleObstacle(
+                        obstacleData.x,
+                        obstacleData.y,
+                        obstacleData.width,
+                        obstacleData.height
+                    );
+                    break;
                 
-            case 'circle':
-                obstacle = new CircleObstacle(
-                    obstacleData.x,
-                    obstacleData.y,
-                    obstacleData.radius
-                );
-                break;
+                case 'circle':
+                    obstacle = new CircleObstacle(
+                        obstacleData.x,
+                        obstacleData.y,
+                        obstacleData.radius
+                    );
+                    break;
+                
+                case 'polygon':
+                    obstacle = new PolygonObstacle(
+                        obstacleData.points
+                    );
+                    break;
                 
-            case 'polygon':
-                obstacle = new PolygonObstacle(
-                    obstacleData.points
+                case 'door':
+                    obstacle = new DoorObstacle(
+                        obstacleData.x,
+                        obstacleData.y,
+                        obstacleData.width,
+                        obstacleData.height,
+                        obstacleData.closedTime,
+                        obstacleData.openTime,
+                        obstacleData.phase
+                    );
+                    break;
+            }
+            
+            if (obstacle) {
+                obstacle.setTransform({
+                    rotation: obstacleData.rotation || 0,
+                    scale: obstacleData.scale || 1
+                });
+                if (obstacleData.rotationSpeed) {
+                    obstacle.rotationSpeed = obstacleData.rotationSpeed;
+                }
+                if (obstacleData.path) {
+                    obstacle.setPath(new Path(obstacleData.path));
+                }
+                if (obstacleData.durability) {
+                    obstacle.durability = obstacleData.durability;
+                }
+                world.addObstacle(obstacle);
+            }
+        });
+        
+        // Create light sources
+        levelData.lightSources.forEach(lightData => {
+            let light;
+            
+            if (lightData.type === 'spotlight') {
+                light = new Spotlight(
+                    lightData.x,
+                    lightData.y,
+                    lightData.range,
+                    lightData.coneWidth,
+                    lightData.facing,
+                    lightData.sweep,
+                    lightData.speed,
+                    lightData.color
                 );
-                break;
-        }
+            } else {
+                light = new LightSource(
+                    lightData.x,
+                    lightData.y,
+                    10, // radius
+                    lightData.color || '#ffff00',
+                    lightData.intensity,
+                    lightData.speed
+                );
+            }
+            
+            if (lightData.movementPattern) {
+                light.movementPattern = lightData.movementPattern;
+            }
+            if (lightData.path) {
+                light.setPath(new Path(lightData.path));
+            }
+            if (lightData.falloff) {
+                light.setFalloff(lightData.falloff);
+            }
+            world.addLightSource(light);
+        });
         
-        if (obstacle) {
-            obstacles.push(obstacle);
+        // Create guards
+        (levelData.guards || []).forEach(guardData => {
+            world.addGuard(new Guard(new Path(guardData.path), guardData));
+        });
+        
+        // Set the objective, level duration and darkness
+        world.setObjective(createObjective(levelData.objective));
+        if (levelData.timeToSurvive !== undefined) {
+            world.levelDuration = levelData.timeToSurvive;
+        }
+        if (levelData.ambientLight !== undefined) {
+            world.ambientLight = levelData.ambientLight;
         }
-    });
-    
-    // Create light sources
-    levelData.lightSources.forEach(lightData => {
-        const light = new LightSource(
-            lightData.x,
-            lightData.y,
-            10, // radius
-            '#ffff00', // color
-            lightData.intensity,
-            lightData.speed
-        );
         
-        light.movementPattern = lightData.movementPattern;
-        lightSources.push(light);
-    });
-    
-    // Set level duration
-    game.levelDuration = levelData.timeToSurvive;
+        return levelData;
+    }
     
-    return levelData;
-}
\ No newline at end of file
+    return { predefinedLevels, loadPredefinedLevel };
+});
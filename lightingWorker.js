@@ -0,0 +1,307 @@
+/**
+ * Shadow Escape - Lighting Worker
+ *
+ * Moves lighting the picture off the main thread. Each frame the main thread
+ * sends a snapshot of the lights and the obstacle edges around them to a Web
+ * Worker, which computes every light's visibility polygon and renders the
+ * light map on an OffscreenCanvas. The renderer multiplies the newest light
+ * map it has received over the floor, or renders one itself from the newest
+ * polygons when the worker has no OffscreenCanvas, so the picture may trail
+ * the simulation by a frame.
+ *
+ * A light's edges are only sent when its lit region key has changed since
+ * the last snapshot; otherwise the worker reuses the polygon it already has.
+ * Only the picture comes from the worker: the world still computes its own
+ * lit regions for exposure, so gameplay and replays stay exact. Without
+ * workers (or when the page can't start one, as when it is opened from
+ * disk) the pipeline doesn't start and the renderer lights the scene itself
+ * as before.
+ *
+ * This file is both a module for the page and the worker's script.
+ */
+
+// Inside a worker, load the modules this one depends on first
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    importScripts('geometry.js', 'renderer.js');
+}
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./geometry.js'),
+            require('./renderer.js')
+        ));
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory(root.Nolhyte));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { getObstacleSegments, computeVisibilityPolygon, Renderer } = deps;
+    
+    // Script the worker runs, relative to the page
+    const WORKER_SCRIPT = 'lightingWorker.js';
+    
+    /**
+     * Captures what the worker needs to light a world
+     * Plain data only, so it can be posted to a worker. Lights whose lit
+     * region key is unchanged since the last snapshot carry null segments,
+     * and the worker reuses the polygon it already has for them
+     * @param {World} world - World to light, with up-to-date lit regions
+     * @param {number} frame - Number identifying the snapshot
+     * @param {Array} sentKeys - Lit region key of each light as last sent
+     * @returns {Object} Snapshot {frame, width, height, ambientLight, lights}
+     */
+    function createLightingSnapshot(world, frame, sentKeys = []) {
+        return {
+            frame,
+            width: world.width,
+            height: world.height,
+            ambientLight: world.ambientLight,
+            lights: world.lightSources.map((light, i) => {
+                const data = {
+                    x: light.x,
+                    y: light.y,
+                    color: light.color,
+                    range: light.getRange(), // How far the light shines now
+                    stops: light.getFalloffStops(),
+                    segments: null
+                };
+                if (light.litRegionKey === null || light.litRegionKey !== sentKeys[i]) {
+                    const reach = light.getMaxRange();
+                    data.reach = reach; // How far its region reaches, as in the world's lit regions
+                    data.rayCount = light.getEdgeRayCount();
+                    data.arc = light.getArc();
+                    data.segments = getObstacleSegments(world.getObstaclesNear(light, reach), light, reach);
+                }
+                return data;
+            })
+        };
+    }
+    
+    /**
+     * Computes the visibility polygons of the lights in a snapshot
+     * The same polygons LightSource.computeLitRegion() gives on the main
+     * thread. Lights sent without segments keep the polygon they had
+     * @param {Object} snapshot - Snapshot from createLightingSnapshot()
+     * @param {Array} regions - Lit region of each light from the snapshot before, updated in place
+     * @returns {Array} One lit region per light, as polygons of points {x, y}
+     */
+    function computeLighting(snapshot, regions = []) {
+        snapshot.lights.forEach((light, i) => {
+            if (light.segments) {
+                regions[i] = computeVisibilityPolygon(light, light.segments, light.reach, light.rayCount, light.arc);
+            }
+        });
+        regions.length = snapshot.lights.length;
+        return regions;
+    }
+    
+    /**
+     * Turns a snapshot and its lit regions into the lights Renderer.renderLightMap() draws
+     * @param {Object} snapshot - Snapshot from createLightingSnapshot()
+     * @param {Array} regions - Lit region of each light in the snapshot
+     * @returns {Object} Lighting {ambientLight, lightSources}
+     */
+    function createLightingScene(snapshot, regions) {
+        return {
+            ambientLight: snapshot.ambientLight,
+            lightSources: snapshot.lights.map((light, i) => ({
+                x: light.x,
+                y: light.y,
+                color: light.color,
+                litRegion: regions[i],
+                getRange: () => light.range,
+                getFalloffStops: () => light.stops
+            }))
+        };
+    }
+    
+    /**
+     * Renders a snapshot's light map
+     * Uses the renderer's own compositing, so the result matches a light
+     * map rendered on the main thread
+     * @param {Object} snapshot - Snapshot from createLightingSnapshot()
+     * @param {Array} regions - Lit region of each light in the snapshot
+     * @param {HTMLCanvasElement|OffscreenCanvas} lightMap - Canvas to render into
+     */
+    function renderLighting(snapshot, regions, lightMap) {
+        new Renderer(null).renderLightMap(lightMap, createLightingScene(snapshot, regions));
+    }
+    
+    /**
+     * Creates an OffscreenCanvas with a 2D context, when the worker has them
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {OffscreenCanvas|null} New canvas, or null if unavailable
+     */
+    function createOffscreenCanvas(width, height) {
+        if (typeof OffscreenCanvas === 'undefined') return null;
+        
+        const canvas = new OffscreenCanvas(width, height);
+        return canvas.getContext('2d') ? canvas : null;
+    }
+    
+    /**
+     * Answers lighting snapshots posted to a worker
+     * Replies {frame, regions, lightMap}, with the light map as an
+     * ImageBitmap, or null if the worker can't render one
+     * @param {Object} scope - Worker global scope
+     * @param {Function} createCanvas - Makes the canvas to render into (width, height), may return null
+     */
+    function listenForLighting(scope, createCanvas = createOffscreenCanvas) {
+        let lightMap = null;
+        const regions = []; // Lit region of each light, kept between snapshots
+        
+        scope.onmessage = event => {
+            const snapshot = event.data;
+            computeLighting(snapshot, regions);
+            
+            if (!lightMap || lightMap.width !== snapshot.width || lightMap.height !== snapshot.height) {
+                lightMap = createCanvas(snapshot.width, snapshot.height);
+            }
+            if (!lightMap) {
+                scope.postMessage({frame: snapshot.frame, regions, lightMap: null});
+                return;
+            }
+            
+            renderLighting(snapshot, regions, lightMap);
+            const bitmap = lightMap.transferToImageBitmap();
+            scope.postMessage({frame: snapshot.frame, regions, lightMap: bitmap}, [bitmap]);
+        };
+    }
+    
+    /**
+     * Starts the lighting worker, when the browser can run it
+     * @returns {Worker|null} Worker, or null without workers
+     */
+    function createDomWorker() {
+        if (typeof Worker === 'undefined') return null;
+        
+        try {
+            return new Worker(WORKER_SCRIPT);
+        } catch (error) {
+            // Pages opened from disk may not be allowed to start workers
+            return null;
+        }
+    }
+    
+    /**
+     * LightingPipeline class
+     * The main thread's end of the lighting worker: sends it snapshots and
+     * keeps the newest polygons and light map it sends back
+     */
+    class LightingPipeline {
+        /**
+         * Creates a pipeline, not yet started
+         * @param {Object} options - Optional overrides
+         * @param {Function} options.createWorker - Starts the worker, may return null (defaults to a Web Worker)
+         */
+        constructor(options = {}) {
+            this.createWorker = options.createWorker || createDomWorker;
+            this.worker = null;
+            this.pending = false; // Whether the worker is busy with a snapshot
+            this.frame = 0; // Snapshots sent so far
+            this.sentKeys = []; // Lit region key of each light the worker holds a region for
+            this.sent = null; // Snapshot the worker is busy with
+            this.latest = null; // Newest reply {frame, regions, lightMap} and the snapshot it answers
+        }
+        
+        /**
+         * Starts the worker
+         * @returns {boolean} True if it started, false if the renderer should light the scene itself
+         */
+        start() {
+            this.worker = this.createWorker();
+            if (!this.worker) return false;
+            
+            this.sentKeys = []; // A new worker holds no regions yet
+            this.worker.onmessage = event => this.receive(event.data);
+            this.worker.onerror = () => this.stop();
+            return true;
+        }
+        
+        /**
+         * Checks if the worker is running
+         * @returns {boolean} True until stopped or failed
+         */
+        isRunning() {
+            return this.worker !== null;
+        }
+        
+        /**
+         * Sends the world's lighting to the worker
+         * Obstacle edges are only sent for lights whose lit region the
+         * worker doesn't already hold.
+         * Skipped while the worker is still busy with the last snapshot, so
+         * a slow worker drops frames instead of falling further behind
+         * @param {World} world - World to light
+         * @returns {boolean} True if a snapshot was sent
+         */
+        submit(world) {
+            if (!this.worker || this.pending) return false;
+            
+            this.frame++;
+            this.sent = createLightingSnapshot(world, this.frame, this.sentKeys);
+            this.worker.postMessage(this.sent);
+            this.sentKeys = world.lightSources.map(light => light.litRegionKey);
+            this.pending = true;
+            return true;
+        }
+        
+        /**
+         * Keeps a reply from the worker, releasing the light map it replaces
+         * @param {Object} result - Reply {frame, regions, lightMap}, without a light map if the worker can't render one
+         */
+        receive(result) {
+            const previous = this.latest && this.latest.lightMap;
+            if (previous && previous.close) {
+                previous.close();
+            }
+            this.latest = Object.assign({snapshot: this.sent}, result);
+            this.sent = null;
+            this.pending = false;
+        }
+        
+        /**
+         * Gets the newest light map from the worker
+         * @returns {ImageBitmap|null} Light map, or null until the worker has rendered one
+         */
+        getLatestLightMap() {
+            return this.latest ? this.latest.lightMap : null;
+        }
+        
+        /**
+         * Gets the lights as of the newest polygons from the worker, for
+         * rendering a light map here when the worker can't
+         * @returns {Object|null} Lighting {ambientLight, lightSources} for Renderer.renderLightMap(), or null until the worker has replied
+         */
+        getLatestLighting() {
+            return this.latest ? createLightingScene(this.latest.snapshot, this.latest.regions) : null;
+        }
+        
+        /**
+         * Stops the worker; the renderer goes back to lighting the scene itself
+         */
+        stop() {
+            if (this.worker) {
+                this.worker.terminate();
+            }
+            this.worker = null;
+            this.pending = false;
+            this.sent = null;
+            this.latest = null;
+        }
+    }
+    
+    return {
+        LightingPipeline,
+        createLightingSnapshot,
+        computeLighting,
+        renderLighting,
+        listenForLighting
+    };
+});
+
+// Inside a worker, answer the page's snapshots
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.Nolhyte.listenForLighting(self);
+}
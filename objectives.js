@@ -0,0 +1,352 @@
+/**
+ * Shadow Escape - Objectives
+ *
+ * What a level asks of the player before it is complete. By default that is
+ * surviving until the level's timer runs out; levels can instead ask the
+ * player to reach an exit, collect shards or hold a zone. Objectives are
+ * declared in level data and built with createObjective(), then owned by the
+ * world, which updates them every step and asks them whether the level is done.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Radius of a shard, in pixels
+    const SHARD_RADIUS = 8;
+    
+    /**
+     * Base Objective class
+     * Never completes on its own; subclasses define the goal
+     */
+    class Objective {
+        /**
+         * Puts the objective back to how the level starts
+         */
+        reset() {}
+        
+        /**
+         * Tracks the player's progress after a simulation step
+         * @param {World} world - World the objective belongs to
+         * @param {number} deltaTime - Time elapsed in the step
+         */
+        update(world, deltaTime) {}
+        
+        /**
+         * Checks if the objective has been met
+         * @param {World} world - World the objective belongs to
+         * @returns {boolean} True once the level is complete
+         */
+        isComplete(world) {
+            return false;
+        }
+        
+        /**
+         * Gets how far along the objective is
+         * @param {World} world - World the objective belongs to
+         * @returns {number} Progress from 0 to 1
+         */
+        getProgress(world) {
+            return this.isComplete(world) ? 1 : 0;
+        }
+        
+        /**
+         * Gets a short description of the objective and its progress for the HUD
+         * @param {World} world - World the objective belongs to
+         * @returns {string} Status text
+         */
+        getStatus(world) {
+            return '';
+        }
+    }
+    
+    /**
+     * Survive objective
+     * Complete once the level's timer runs out
+     */
+    class SurviveObjective extends Objective {
+        /**
+         * Creates a survive objective
+         */
+        constructor() {
+            super();
+            this.type = 'survive';
+        }
+        
+        /**
+         * Checks if the level's timer has run out
+         * @param {World} world - World the objective belongs to
+         * @returns {boolean} True once the level duration has elapsed
+         */
+        isComplete(world) {
+            return world.time >= world.levelDuration;
+        }
+        
+        /**
+         * Gets how much of the level's time has passed
+         * @param {World} world - World the objective belongs to
+         * @returns {number} Progress from 0 to 1
+         */
+        getProgress(world) {
+            return Math.min(1, world.time / world.levelDuration);
+        }
+        
+        /**
+         * Gets the time left to survive
+         * @param {World} world - World the objective belongs to
+         * @returns {string} Status text
+         */
+        getStatus(world) {
+            return `Time: ${Math.ceil(world.getRemainingTime() / 1000)}s`;
+        }
+    }
+    
+    /**
+     * Exit objective
+     * Complete once the player's center is inside the exit zone
+     */
+    class ExitObjective extends Objective {
+        /**
+         * Creates an exit objective
+         * @param {number} x - X position of the zone's top-left corner
+         * @param {number} y - Y position of the zone's top-left corner
+         * @param {number} width - Width of the zone
+         * @param {number} height - Height of the zone
+         */
+        constructor(x, y, width, height) {
+            super();
+            this.type = 'exit';
+            this.x = x;
+            this.y = y;
+            this.width = width;
+            this.height = height;
+            this.reached = false;
+        }
+        
+        /**
+         * Forgets that the exit was reached
+         */
+        reset() {
+            this.reached = false;
+        }
+        
+        /**
+         * Notes when the player reaches the exit
+         * @param {World} world - World the objective belongs to
+         * @param {number} deltaTime - Time elapsed in the step
+         */
+        update(world, deltaTime) {
+            const player = world.player;
+            if (player.x >= this.x && player.x <= this.x + this.width &&
+                player.y >= this.y && player.y <= this.y + this.height) {
+                this.reached = true;
+            }
+        }
+        
+        /**
+         * Checks if the player has reached the exit
+         * @param {World} world - World the objective belongs to
+         * @returns {boolean} True once the exit was reached
+         */
+        isComplete(world) {
+            return this.reached;
+        }
+        
+        /**
+         * Gets the instruction for the HUD
+         * @param {World} world - World the objective belongs to
+         * @returns {string} Status text
+         */
+        getStatus(world) {
+            return 'Reach the exit';
+        }
+    }
+    
+    /**
+     * Shard objective
+     * Complete once enough of the scattered shards have been collected
+     */
+    class ShardObjective extends Objective {
+        /**
+         * Creates a shard objective
+         * @param {Array} shards - Shard positions {x, y}
+         * @param {number} required - Shards needed, all of them by default
+         */
+        constructor(shards, required = shards.length) {
+            super();
+            this.type = 'shards';
+            this.shards = shards.map(shard => ({x: shard.x, y: shard.y, collected: false}));
+            this.required = Math.min(required, shards.length);
+            this.radius = SHARD_RADIUS;
+        }
+        
+        /**
+         * Counts the shards collected so far
+         * @returns {number} Collected shards
+         */
+        getCollectedCount() {
+            return this.shards.filter(shard => shard.collected).length;
+        }
+        
+        /**
+         * Puts every shard back
+         */
+        reset() {
+            this.shards.forEach(shard => {
+                shard.collected = false;
+            });
+        }
+        
+        /**
+         * Collects the shards the player touches
+         * @param {World} world - World the objective belongs to
+         * @param {number} deltaTime - Time elapsed in the step
+         */
+        update(world, deltaTime) {
+            const player = world.player;
+            const reach = player.radius + this.radius;
+            this.shards.forEach(shard => {
+                const dx = shard.x - player.x;
+                const dy = shard.y - player.y;
+                if (!shard.collected && dx * dx + dy * dy <= reach * reach) {
+                    shard.collected = true;
+                }
+            });
+        }
+        
+        /**
+         * Checks if enough shards have been collected
+         * @param {World} world - World the objective belongs to
+         * @returns {boolean} True once the required shards are collected
+         */
+        isComplete(world) {
+            return this.getCollectedCount() >= this.required;
+        }
+        
+        /**
+         * Gets the share of the required shards collected
+         * @param {World} world - World the objective belongs to
+         * @returns {number} Progress from 0 to 1
+         */
+        getProgress(world) {
+            return this.required > 0 ? Math.min(1, this.getCollectedCount() / this.required) : 1;
+        }
+        
+        /**
+         * Gets the shard count for the HUD
+         * @param {World} world - World the objective belongs to
+         * @returns {string} Status text
+         */
+        getStatus(world) {
+            return `Shards: ${Math.min(this.getCollectedCount(), this.required)}/${this.required}`;
+        }
+    }
+    
+    /**
+     * Hold objective
+     * Complete once the player has spent long enough inside a zone; time
+     * outside the zone doesn't count but isn't lost either
+     */
+    class HoldObjective extends Objective {
+        /**
+         * Creates a hold objective
+         * @param {number} x - X position of the zone's center
+         * @param {number} y - Y position of the zone's center
+         * @param {number} radius - Radius of the zone
+         * @param {number} duration - Time to spend in the zone, in milliseconds
+         */
+        constructor(x, y, radius, duration) {
+            super();
+            this.type = 'hold';
+            this.x = x;
+            this.y = y;
+            this.radius = radius;
+            this.duration = duration;
+            this.heldTime = 0;
+            this.playerInside = false;
+        }
+        
+        /**
+         * Clears the time held
+         */
+        reset() {
+            this.heldTime = 0;
+            this.playerInside = false;
+        }
+        
+        /**
+         * Adds the step to the time held while the player is in the zone
+         * @param {World} world - World the objective belongs to
+         * @param {number} deltaTime - Time elapsed in the step
+         */
+        update(world, deltaTime) {
+            const dx = world.player.x - this.x;
+            const dy = world.player.y - this.y;
+            this.playerInside = dx * dx + dy * dy <= this.radius * this.radius;
+            if (this.playerInside) {
+                this.heldTime = Math.min(this.duration, this.heldTime + deltaTime);
+            }
+        }
+        
+        /**
+         * Checks if the zone has been held long enough
+         * @param {World} world - World the objective belongs to
+         * @returns {boolean} True once the full duration was held
+         */
+        isComplete(world) {
+            return this.heldTime >= this.duration;
+        }
+        
+        /**
+         * Gets the share of the duration held
+         * @param {World} world - World the objective belongs to
+         * @returns {number} Progress from 0 to 1
+         */
+        getProgress(world) {
+            return this.duration > 0 ? this.heldTime / this.duration : 1;
+        }
+        
+        /**
+         * Gets the time still to hold for the HUD
+         * @param {World} world - World the objective belongs to
+         * @returns {string} Status text
+         */
+        getStatus(world) {
+            const remaining = Math.ceil((this.duration - this.heldTime) / 1000);
+            return this.playerInside ? `Hold: ${remaining}s` : `Hold the zone: ${remaining}s`;
+        }
+    }
+    
+    /**
+     * Builds an objective from level data
+     * @param {Object} data - Objective data; {type: 'survive'} when missing
+     * @param {string} data.type - 'survive', 'exit', 'shards' or 'hold'
+     * @returns {Objective} New objective
+     */
+    function createObjective(data = {type: 'survive'}) {
+        switch (data.type) {
+            case 'survive':
+                return new SurviveObjective();
+            case 'exit':
+                return new ExitObjective(data.x, data.y, data.width, data.height);
+            case 'shards':
+                return new ShardObjective(data.shards, data.required);
+            case 'hold':
+                return new HoldObjective(data.x, data.y, data.radius, data.time);
+            default:
+                throw new Error(`Unknown objective type: ${data.type}`);
+        }
+    }
+    
+    return {
+        Objective,
+        SurviveObjective,
+        ExitObjective,
+        ShardObjective,
+        HoldObjective,
+        createObjective
+    };
+});
@@ -0,0 +1,257 @@
+/**
+ * Shadow Escape - Paths
+ *
+ * Scripted routes through the arena, for anything a level designer wants to
+ * move along a fixed track. A path runs through a list of waypoints, either
+ * as straight lines or as a smooth Bezier curve, with a speed, easing and
+ * pause per waypoint. It can loop, ping-pong back and forth or run once.
+ *
+ * A path has no state of its own: getPosition(time) works out where along
+ * the route a given moment falls, so anything following a path by level
+ * time replays exactly and several followers can share one path at
+ * different phases.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Easing curves, mapping progress along a segment (0 to 1) to distance along it (0 to 1)
+    const EASINGS = {
+        linear: t => t,
+        easeIn: t => t * t,
+        easeOut: t => t * (2 - t),
+        easeInOut: t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t))
+    };
+    
+    // Samples per curved segment for measuring and drawing it
+    const CURVE_SAMPLES = 16;
+    
+    /**
+     * Gets a point on a cubic Bezier curve
+     * @param {Array} curve - Start, two control points and end, as points {x, y}
+     * @param {number} t - Curve parameter, 0 to 1
+     * @returns {Object} Point {x, y}
+     */
+    function bezierPoint(curve, t) {
+        const u = 1 - t;
+        const a = u * u * u;
+        const b = 3 * u * u * t;
+        const c = 3 * u * t * t;
+        const d = t * t * t;
+        return {
+            x: a * curve[0].x + b * curve[1].x + c * curve[2].x + d * curve[3].x,
+            y: a * curve[0].y + b * curve[1].y + c * curve[2].y + d * curve[3].y
+        };
+    }
+    
+    /**
+     * Path class
+     * A timed route through waypoints
+     */
+    class Path {
+        /**
+         * Creates a path from level data
+         * @param {Object} data - Path data
+         * @param {Array} data.points - Waypoints {x, y}, each optionally with the `speed`
+         *     and `easing` of the segment leaving it and a `pause` in milliseconds on arrival
+         * @param {string} data.mode - 'loop' back to the start, 'pingpong' back and forth, or 'once'
+         * @param {string} data.curve - 'polyline' for straight segments, 'bezier' for a smooth curve through the points
+         * @param {number} data.speed - Default speed in pixels per millisecond
+         * @param {string} data.easing - Default easing, a key of EASINGS
+         * @param {number} data.phase - How far into the cycle the path starts, 0 to 1
+         */
+        constructor(data) {
+            if (!data.points || data.points.length < 2) {
+                throw new Error('A path needs at least two points');
+            }
+            
+            this.points = data.points.map(point => ({x: point.x, y: point.y}));
+            this.mode = data.mode || 'loop';
+            this.curve = data.curve || 'polyline';
+            this.phase = data.phase || 0;
+            
+            const defaults = {
+                speed: data.speed || 0.1,
+                easing: data.easing || 'linear'
+            };
+            this.legs = this.buildLegs(data.points, defaults);
+            this.duration = this.legs.reduce((total, leg) => total + leg.pause + leg.travelTime, 0);
+        }
+        
+        /**
+         * Works out the legs of one full cycle
+         * @param {Array} points - Waypoints as declared
+         * @param {Object} defaults - Default speed and easing
+         * @returns {Array} Legs {samples, lengths, pause, travelTime, easing} in order
+         */
+        buildLegs(points, defaults) {
+            const closed = this.mode === 'loop';
+            const count = closed ? points.length : points.length - 1;
+            const legs = [];
+            
+            for (let i = 0; i < count; i++) {
+                const from = points[i];
+                const to = points[(i + 1) % points.length];
+                const easing = from.easing || defaults.easing;
+                if (!EASINGS[easing]) {
+                    throw new Error(`Unknown path easing: ${easing}`);
+                }
+                
+                const samples = this.sampleShape(this.getSegmentShape(i));
+                const lengths = this.measureSamples(samples);
+                legs.push({
+                    samples,
+                    lengths,
+                    pause: to.pause || 0,
+                    travelTime: lengths[lengths.length - 1] / (from.speed || defaults.speed),
+                    easing
+                });
+            }
+            
+            // Ping-pong comes back along the same legs, pausing at each waypoint again
+            if (this.mode === 'pingpong') {
+                for (let i = count - 1; i >= 0; i--) {
+                    const leg = legs[i];
+                    const samples = leg.samples.slice().reverse();
+                    legs.push({
+                        samples,
+                        lengths: this.measureSamples(samples),
+                        pause: points[i].pause || 0,
+                        travelTime: leg.travelTime,
+                        easing: leg.easing
+                    });
+                }
+            }
+            
+            return legs;
+        }
+        
+        /**
+         * Gets the shape of the segment leaving a waypoint
+         * @param {number} index - Waypoint index
+         * @returns {Array} Two points for a straight segment, four for a Bezier curve
+         */
+        getSegmentShape(index) {
+            const points = this.points;
+            const n = points.length;
+            const closed = this.mode === 'loop';
+            const from = points[index];
+            const to = points[(index + 1) % n];
+            if (this.curve !== 'bezier') {
+                return [from, to];
+            }
+            
+            // Catmull-Rom tangents, so the curve passes smoothly through every waypoint
+            const before = closed ? points[(index - 1 + n) % n] : points[Math.max(0, index - 1)];
+            const after = closed ? points[(index + 2) % n] : points[Math.min(n - 1, index + 2)];
+            return [
+                from,
+                {x: from.x + (to.x - before.x) / 6, y: from.y + (to.y - before.y) / 6},
+                {x: to.x - (after.x - from.x) / 6, y: to.y - (after.y - from.y) / 6},
+                to
+            ];
+        }
+        
+        /**
+         * Measures a segment from its samples
+         * @param {Array} samples - Points along the segment from sampleShape()
+         * @returns {Array} Distance along the segment at each sample, ending with its length
+         */
+        measureSamples(samples) {
+            const lengths = [0];
+            for (let i = 1; i < samples.length; i++) {
+                const dx = samples[i].x - samples[i - 1].x;
+                const dy = samples[i].y - samples[i - 1].y;
+                lengths.push(lengths[i - 1] + Math.sqrt(dx * dx + dy * dy));
+            }
+            return lengths;
+        }
+        
+        /**
+         * Samples points along a segment shape
+         * @param {Array} shape - Segment shape from getSegmentShape()
+         * @returns {Array} Points {x, y} from start to end
+         */
+        sampleShape(shape) {
+            if (shape.length === 2) return shape;
+            
+            const samples = [];
+            for (let i = 0; i <= CURVE_SAMPLES; i++) {
+                samples.push(bezierPoint(shape, i / CURVE_SAMPLES));
+            }
+            return samples;
+        }
+        
+        /**
+         * Gets the point a given distance along a segment
+         * @param {Object} leg - Leg whose samples to follow
+         * @param {number} fraction - Share of the segment's length covered, 0 to 1
+         * @returns {Object} Point {x, y}
+         */
+        getPointOnLeg(leg, fraction) {
+            const lengths = leg.lengths;
+            const samples = leg.samples;
+            const distance = fraction * lengths[lengths.length - 1];
+            
+            // Find the sample interval holding the distance and blend within it
+            let i = 1;
+            while (i < lengths.length - 1 && lengths[i] < distance) i++;
+            const span = lengths[i] - lengths[i - 1];
+            const t = span > 0 ? (distance - lengths[i - 1]) / span : 0;
+            return {
+                x: samples[i - 1].x + (samples[i].x - samples[i - 1].x) * t,
+                y: samples[i - 1].y + (samples[i].y - samples[i - 1].y) * t
+            };
+        }
+        
+        /**
+         * Gets where along the path a moment falls
+         * @param {number} time - Time since the path started, in milliseconds
+         * @returns {Object} Point {x, y}
+         */
+        getPosition(time) {
+            if (this.duration <= 0) {
+                return {x: this.points[0].x, y: this.points[0].y};
+            }
+            
+            let t = time + this.phase * this.duration;
+            if (this.mode === 'once') {
+                t = Math.max(0, Math.min(this.duration, t));
+            } else {
+                t = ((t % this.duration) + this.duration) % this.duration;
+            }
+            
+            for (let i = 0; i < this.legs.length; i++) {
+                const leg = this.legs[i];
+                if (t < leg.travelTime) {
+                    return this.getPointOnLeg(leg, EASINGS[leg.easing](t / leg.travelTime));
+                }
+                t -= leg.travelTime;
+                if (t < leg.pause) {
+                    return this.getPointOnLeg(leg, 1);
+                }
+                t -= leg.pause;
+            }
+            return this.getPointOnLeg(this.legs[this.legs.length - 1], 1);
+        }
+        
+        /**
+         * Gets the route as a line of points, e.g. to draw it
+         * @returns {Array} Points {x, y} along one pass of the route
+         */
+        getOutline() {
+            const passes = this.mode === 'pingpong' ? this.legs.length / 2 : this.legs.length;
+            const outline = [this.legs[0].samples[0]];
+            for (let i = 0; i < passes; i++) {
+                outline.push(...this.legs[i].samples.slice(1));
+            }
+            return outline;
+        }
+    }
+    
+    return { Path, EASINGS };
+});
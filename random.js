@@ -0,0 +1,103 @@
+/**
+ * Shadow Escape - Random
+ *
+ * A small seedable pseudo-random number generator. Everything in the game
+ * that needs randomness draws it from the world's generator instead of
+ * Math.random(), so a seed plus the player's inputs always plays out the
+ * same way.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * Turns any string into a seed, e.g. a date for a shared daily challenge
+     * Uses the FNV-1a hash
+     * @param {string} text - Text to hash
+     * @returns {number} Seed, an unsigned 32-bit integer
+     */
+    function seedFromString(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+    
+    /**
+     * Derives an independent seed from a seed and a number
+     * Lets one game seed give every level its own stream
+     * @param {number} seed - Base seed
+     * @param {number} n - Number to mix in, e.g. a level number
+     * @returns {number} Derived seed, an unsigned 32-bit integer
+     */
+    function deriveSeed(seed, n) {
+        let hash = Math.imul((seed >>> 0) ^ Math.imul(n, 0x9e3779b9), 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
+    }
+    
+    /**
+     * Random class
+     * Mulberry32 generator: fast, 32 bits of state, good enough for games
+     */
+    class Random {
+        /**
+         * Creates a generator
+         * @param {number} seed - Seed; the same seed always gives the same sequence
+         */
+        constructor(seed = 0) {
+            this.seed = seed >>> 0;
+            this.state = this.seed;
+        }
+        
+        /**
+         * Gets the next number in the sequence
+         * @returns {number} Number from 0 (inclusive) to 1 (exclusive), like Math.random()
+         */
+        next() {
+            this.state = (this.state + 0x6d2b79f5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+        
+        /**
+         * Gets a number in a range
+         * @param {number} min - Lowest value (inclusive)
+         * @param {number} max - Highest value (exclusive)
+         * @returns {number} Random number
+         */
+        range(min, max) {
+            return min + this.next() * (max - min);
+        }
+        
+        /**
+         * Gets a whole number below a limit
+         * @param {number} max - Limit (exclusive)
+         * @returns {number} Integer from 0 to max - 1
+         */
+        int(max) {
+            return Math.floor(this.next() * max);
+        }
+        
+        /**
+         * Picks an item from a list
+         * @param {Array} items - Items to choose from
+         * @returns {*} One of the items
+         */
+        pick(items) {
+            return items[this.int(items.length)];
+        }
+    }
+    
+    return { Random, seedFromString, deriveSeed };
+});
@@ -0,0 +1,613 @@
+/**
+ * Shadow Escape - Renderer
+ *
+ * Draws the state of a World to a canvas context. The renderer only reads
+ * from the world; all game rules live in world.js and entities.js.
+ *
+ * Lights are composited into an offscreen light map: the level's ambient
+ * light plus every light added together in its own colour. The map is then
+ * multiplied over the floor, so overlapping lights blend instead of piling
+ * up gradients. Without offscreen canvases the lights are added straight onto
+ * a dark background. Given a lighting pipeline (see lightingWorker.js), the
+ * renderer uses the light map a worker rendered instead of its own, or
+ * renders one from the lit regions the worker worked out.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Floor colour before lighting; the light map darkens it to ambient level
+    const FLOOR_COLOR = '#aaaaaa';
+    
+    // Vision cone colour for each guard state
+    const GUARD_CONE_COLORS = {
+        patrol: 'rgba(255, 255, 255, 0.15)',
+        suspicious: 'rgba(255, 200, 0, 0.25)',
+        alert: 'rgba(255, 40, 40, 0.3)',
+        search: 'rgba(255, 140, 0, 0.2)'
+    };
+    
+    // Mark shown over a guard's head for each state, if any
+    const GUARD_MARKS = {
+        suspicious: '?',
+        alert: '!',
+        search: '?'
+    };
+    
+    /**
+     * Parses a CSS hex or rgb() colour
+     * @param {string} color - Colour such as '#ff0', '#ffff00' or 'rgb(255, 255, 0)'
+     * @returns {Object} Channels {r, g, b} from 0 to 255, white if unrecognised
+     */
+    function parseColor(color) {
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+        if (hex) {
+            const digits = hex[1].length === 3
+                ? hex[1].split('').map(digit => digit + digit).join('')
+                : hex[1];
+            return {
+                r: parseInt(digits.slice(0, 2), 16),
+                g: parseInt(digits.slice(2, 4), 16),
+                b: parseInt(digits.slice(4, 6), 16)
+            };
+        }
+        
+        const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color);
+        if (rgb) {
+            return {r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3])};
+        }
+        
+        return {r: 255, g: 255, b: 255};
+    }
+    
+    /**
+     * Creates a canvas with the DOM, when there is one
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {HTMLCanvasElement|null} New canvas, or null outside the browser
+     */
+    function createDomCanvas(width, height) {
+        if (typeof document === 'undefined') return null;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    
+    /**
+     * Renderer class
+     * Draws the world: light areas, obstacles, light sources, guards and the player
+     */
+    class Renderer {
+        /**
+         * Creates a renderer
+         * @param {CanvasRenderingContext2D} ctx - Context to draw to
+         * @param {Object} options - Optional overrides
+         * @param {Function} options.createCanvas - Makes offscreen canvases (width, height), may return null
+         * @param {LightingPipeline} options.lighting - Started lighting worker to take light maps and lit regions from
+         */
+        constructor(ctx, options = {}) {
+            this.ctx = ctx;
+            this.createCanvas = options.createCanvas || createDomCanvas;
+            this.lighting = options.lighting || null;
+            this.lightMap = null; // Offscreen canvas lights are composited into
+            this.obstacleLayer = null; // Offscreen canvas static obstacles are drawn into once
+            this.obstacleLayerKey = null; // Which obstacles the layer shows, so it is redrawn when they change
+        }
+        
+        /**
+         * Draws the whole world
+         * The player is drawn between its last two simulation steps; lights
+         * and obstacles are drawn where the latest step left them, since that
+         * is where their lit regions were computed
+         * @param {World} world - World to draw
+         * @param {number} alpha - Progress from the previous simulation step to the latest, 0 to 1
+         */
+        drawWorld(world, alpha = 1) {
+            const ctx = this.ctx;
+            const lightMap = this.prepareLightMap(world);
+            
+            if (lightMap) {
+                // Draw the floor and light it with the light map
+                ctx.fillStyle = FLOOR_COLOR;
+                ctx.fillRect(0, 0, world.width, world.height);
+                
+                ctx.save();
+                ctx.globalCompositeOperation = 'multiply';
+                ctx.drawImage(lightMap, 0, 0);
+                ctx.restore();
+            } else {
+                // Add the lights straight onto a dark background
+                ctx.fillStyle = '#1a1a1a';
+                ctx.fillRect(0, 0, world.width, world.height);
+                
+                ctx.save();
+                ctx.globalCompositeOperation = 'lighter';
+                world.lightSources.forEach(light => {
+                    this.drawLightArea(light);
+                });
+                ctx.restore();
+            }
+            
+            // Draw obstacles, copying the ones that never change from a pre-rendered layer
+            const obstacleLayer = this.getObstacleLayer(world);
+            if (obstacleLayer) {
+                ctx.drawImage(obstacleLayer, 0, 0);
+            }
+            world.obstacles.forEach(obstacle => {
+                if (!obstacleLayer || !obstacle.isStatic()) {
+                    this.drawObstacle(obstacle);
+                }
+            });
+            
+            // Draw the exit, shards or zone the level asks for
+            this.drawObjective(world);
+            
+            // Draw light sources on top
+            world.lightSources.forEach(light => {
+                this.drawLightSource(light);
+            });
+            
+            // Draw guards and what they can see
+            world.guards.forEach(guard => {
+                this.drawGuard(guard);
+            });
+            
+            // Draw player
+            this.drawPlayer(world.player, world.time, alpha);
+        }
+        
+        /**
+         * Draws a ghost of the player, e.g. where a recording had it
+         * @param {number} x - Ghost X position
+         * @param {number} y - Ghost Y position
+         * @param {number} radius - Player radius
+         */
+        drawGhost(x, y, radius) {
+            const ctx = this.ctx;
+            
+            ctx.save();
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.fill();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.restore();
+        }
+        
+        /**
+         * Gets a light map for the world
+         * Sends the world to the lighting worker, if one is running, and uses
+         * the newest light map it has sent back. A worker that can't render
+         * one still sends its lit regions, which are rendered here; until it
+         * has replied, or without a worker, the world's own regions are
+         * @param {World} world - World to light
+         * @returns {HTMLCanvasElement|ImageBitmap|null} Light map, or null if offscreen canvases are unavailable
+         */
+        prepareLightMap(world) {
+            let lighting = world;
+            if (this.lighting && this.lighting.isRunning()) {
+                this.lighting.submit(world);
+                const workerLightMap = this.lighting.getLatestLightMap();
+                if (workerLightMap) return workerLightMap;
+                lighting = this.lighting.getLatestLighting() || world;
+            }
+            
+            const lightMap = this.getLightMap(world.width, world.height);
+            if (lightMap) {
+                this.renderLightMap(lightMap, lighting);
+            }
+            return lightMap;
+        }
+        
+        /**
+         * Gets the offscreen light map canvas, creating it when needed
+         * @param {number} width - Required width
+         * @param {number} height - Required height
+         * @returns {HTMLCanvasElement|null} Light map, or null if offscreen canvases are unavailable
+         */
+        getLightMap(width, height) {
+            if (!this.lightMap || this.lightMap.width !== width || this.lightMap.height !== height) {
+                this.lightMap = this.createCanvas(width, height);
+            }
+            return this.lightMap;
+        }
+        
+        /**
+         * Gets the offscreen layer of static obstacles, redrawing it when needed
+         * The layer is redrawn only when the arena size or the set of static
+         * obstacles changes. Their glow is baked in at its resting strength,
+         * so static obstacles don't pulse
+         * @param {World} world - World whose obstacles to draw
+         * @returns {HTMLCanvasElement|null} Obstacle layer, or null if there is nothing static or offscreen canvases are unavailable
+         */
+        getObstacleLayer(world) {
+            const obstacles = world.obstacles.filter(obstacle => obstacle.isStatic());
+            if (obstacles.length === 0) return null;
+            
+            const key = [world.width, world.height].concat(obstacles.map(obstacle => obstacle.getShapeKey())).join(',');
+            if (this.obstacleLayer && key === this.obstacleLayerKey) {
+                return this.obstacleLayer;
+            }
+            
+            if (!this.obstacleLayer || this.obstacleLayer.width !== world.width || this.obstacleLayer.height !== world.height) {
+                this.obstacleLayer = this.createCanvas(world.width, world.height);
+                if (!this.obstacleLayer) return null;
+            }
+            
+            const layerCtx = this.obstacleLayer.getContext('2d');
+            layerCtx.clearRect(0, 0, world.width, world.height);
+            obstacles.forEach(obstacle => {
+                this.drawObstacle(obstacle, layerCtx, 0);
+            });
+            this.obstacleLayerKey = key;
+            return this.obstacleLayer;
+        }
+        
+        /**
+         * Composites ambient light and every light source into the light map
+         * @param {HTMLCanvasElement} lightMap - Canvas to render into
+         * @param {World} world - World whose lights to render, or anything with its ambientLight and lightSources
+         */
+        renderLightMap(lightMap, world) {
+            const lightCtx = lightMap.getContext('2d');
+            const ambient = Math.round(Math.max(0, Math.min(1, world.ambientLight)) * 255);
+            
+            // Start from the level's ambient light
+            lightCtx.globalCompositeOperation = 'source-over';
+            lightCtx.fillStyle = `rgb(${ambient}, ${ambient}, ${ambient})`;
+            lightCtx.fillRect(0, 0, lightMap.width, lightMap.height);
+            
+            // Add each light on top
+            lightCtx.globalCompositeOperation = 'lighter';
+            world.lightSources.forEach(light => {
+                this.drawLightArea(light, lightCtx);
+            });
+            lightCtx.globalCompositeOperation = 'source-over';
+        }
+        
+        /**
+         * Draws the player character
+         * @param {Player} player - Player to draw
+         * @param {number} time - Level time, drives the exposure pulse
+         * @param {number} alpha - Progress from the player's previous position to its current one, 0 to 1
+         */
+        drawPlayer(player, time, alpha = 1) {
+            const ctx = this.ctx;
+            const {x, y} = player.getInterpolatedPosition(alpha);
+            
+            // Draw player circle
+            ctx.beginPath();
+            ctx.arc(x, y, player.radius, 0, Math.PI * 2);
+            ctx.fillStyle = player.color;
+            ctx.shadowBlur = 5 + player.glowIntensity * 5;
+            ctx.shadowColor = player.color;
+            ctx.fill();
+            ctx.shadowBlur = 0;
+            
+            // Draw exposure indicator
+            if (player.exposureTime > 0) {
+                const pulseAmount = Math.sin(time * 0.01) * 0.2;
+                const pulseRadius = player.radius * (1.2 + pulseAmount * player.glowIntensity);
+                
+                ctx.beginPath();
+                ctx.arc(x, y, pulseRadius, 0, Math.PI * 2);
+                ctx.strokeStyle = `rgba(0, 255, 255, ${0.3 + player.glowIntensity * 0.7})`;
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+        }
+        
+        /**
+         * Traces an obstacle's outline as the current path
+         * @param {Obstacle} obstacle - Obstacle to trace
+         * @param {CanvasRenderingContext2D} ctx - Context to trace on
+         * @returns {boolean} True if there was an outline to trace
+         */
+        traceObstacle(obstacle, ctx) {
+            switch (obstacle.type) {
+                case 'rectangle': {
+                    if (obstacle.isRotated()) {
+                        return this.tracePolygon(obstacle.getCorners(), ctx);
+                    }
+                    const box = obstacle.getBounds();
+                    ctx.beginPath();
+                    ctx.rect(box.x, box.y, box.width, box.height);
+                    break;
+                }
+                
+                case 'circle':
+                    ctx.beginPath();
+                    ctx.arc(obstacle.transform.x, obstacle.transform.y, obstacle.getRadius(), 0, Math.PI * 2);
+                    break;
+                
+                default:
+                    return this.tracePolygon(obstacle.getCorners(), ctx);
+            }
+            return true;
+        }
+        
+        /**
+         * Draws an obstacle
+         * Open doors and broken cover aren't drawn; breakable cover has a
+         * dashed border and cracks spreading from its center as it wears down
+         * @param {Obstacle} obstacle - Obstacle to draw
+         * @param {CanvasRenderingContext2D} ctx - Context to draw to, defaults to the main one
+         * @param {number} pulse - How far the glow around it has pulsed, defaults to the obstacle's current pulse
+         */
+        drawObstacle(obstacle, ctx = this.ctx, pulse = obstacle.pulseAmount) {
+            if (!obstacle.isSolid() || !this.traceObstacle(obstacle, ctx)) return;
+            
+            ctx.fillStyle = obstacle.color;
+            ctx.shadowBlur = 5 + pulse * 5;
+            ctx.shadowColor = obstacle.color;
+            ctx.fill();
+            ctx.shadowBlur = 0;
+            
+            // Draw border
+            ctx.strokeStyle = obstacle.borderColor;
+            ctx.lineWidth = 2;
+            if (obstacle.isBreakable()) {
+                ctx.save();
+                ctx.setLineDash([6, 4]);
+                ctx.stroke();
+                ctx.restore();
+                this.drawCracks(obstacle, ctx);
+            } else {
+                ctx.stroke();
+            }
+        }
+        
+        /**
+         * Draws cracks across breakable cover, longer the more light it has taken
+         * @param {Obstacle} obstacle - Breakable obstacle
+         * @param {CanvasRenderingContext2D} ctx - Context to draw to, defaults to the main one
+         */
+        drawCracks(obstacle, ctx = this.ctx) {
+            const wear = obstacle.damage / obstacle.durability;
+            if (wear <= 0) return;
+            
+            const center = obstacle.getCenter();
+            ctx.beginPath();
+            obstacle.getSurfacePoints(0).forEach(point => {
+                ctx.moveTo(center.x, center.y);
+                ctx.lineTo(center.x + (point.x - center.x) * wear, center.y + (point.y - center.y) * wear);
+            });
+            ctx.strokeStyle = `rgba(20, 20, 20, ${0.4 + wear * 0.6})`;
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+        
+        /**
+         * Draws the level's objective: the exit, the shards left or the zone to hold
+         * Surviving has nothing to draw
+         * @param {World} world - World whose objective to draw
+         */
+        drawObjective(world) {
+            const ctx = this.ctx;
+            const objective = world.objective;
+            
+            switch (objective.type) {
+                case 'exit':
+                    ctx.fillStyle = 'rgba(0, 255, 128, 0.25)';
+                    ctx.fillRect(objective.x, objective.y, objective.width, objective.height);
+                    ctx.strokeStyle = '#0f8';
+                    ctx.lineWidth = 2;
+                    ctx.strokeRect(objective.x, objective.y, objective.width, objective.height);
+                    break;
+                
+                case 'shards':
+                    objective.shards.filter(shard => !shard.collected).forEach(shard => {
+                        const r = objective.radius;
+                        this.tracePolygon([
+                            {x: shard.x, y: shard.y - r},
+                            {x: shard.x + r * 0.6, y: shard.y},
+                            {x: shard.x, y: shard.y + r},
+                            {x: shard.x - r * 0.6, y: shard.y}
+                        ]);
+                        ctx.fillStyle = '#f6f';
+                        ctx.shadowBlur = 10;
+                        ctx.shadowColor = '#f6f';
+                        ctx.fill();
+                        ctx.shadowBlur = 0;
+                    });
+                    break;
+                
+                case 'hold':
+                    // Zone outline, with the time held so far as an arc around it
+                    ctx.beginPath();
+                    ctx.arc(objective.x, objective.y, objective.radius, 0, Math.PI * 2);
+                    ctx.fillStyle = 'rgba(0, 255, 128, 0.15)';
+                    ctx.fill();
+                    ctx.strokeStyle = 'rgba(0, 255, 128, 0.4)';
+                    ctx.lineWidth = 2;
+                    ctx.stroke();
+                    
+                    ctx.beginPath();
+                    ctx.arc(
+                        objective.x, objective.y, objective.radius,
+                        -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * objective.getProgress(world)
+                    );
+                    ctx.strokeStyle = '#0f8';
+                    ctx.lineWidth = 4;
+                    ctx.stroke();
+                    break;
+            }
+        }
+        
+        /**
+         * Starts a closed path through a list of points
+         * @param {Array} points - Array of points {x, y}
+         * @param {CanvasRenderingContext2D} ctx - Context to trace on, defaults to the main one
+         * @returns {boolean} False if there are too few points to form a shape
+         */
+        tracePolygon(points, ctx = this.ctx) {
+            if (points.length < 3) return false;
+            
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            
+            for (let i = 1; i < points.length; i++) {
+                ctx.lineTo(points[i].x, points[i].y);
+            }
+            
+            ctx.closePath();
+            return true;
+        }
+        
+        /**
+         * Draws the light source itself
+         * @param {LightSource} light - Light source to draw
+         */
+        drawLightSource(light) {
+            const ctx = this.ctx;
+            
+            // Draw light source
+            ctx.beginPath();
+            ctx.arc(light.x, light.y, light.radius, 0, Math.PI * 2);
+            ctx.fillStyle = light.color;
+            ctx.fill();
+            
+            // Add glow effect to light source
+            ctx.shadowBlur = 20;
+            ctx.shadowColor = light.color;
+            ctx.fill();
+            ctx.shadowBlur = 0;
+            
+            // Show which way a spotlight is pointing
+            if (light.type === 'spotlight') {
+                ctx.beginPath();
+                ctx.moveTo(light.x, light.y);
+                ctx.lineTo(
+                    light.x + light.direction.x * light.radius * 2,
+                    light.y + light.direction.y * light.radius * 2
+                );
+                ctx.strokeStyle = light.color;
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            }
+        }
+        
+        /**
+         * Draws a guard with its vision cone, coloured by how alarmed it is
+         * @param {Guard} guard - Guard to draw
+         */
+        drawGuard(guard) {
+            const ctx = this.ctx;
+            
+            if (this.tracePolygon(guard.visionRegion)) {
+                ctx.fillStyle = GUARD_CONE_COLORS[guard.state];
+                ctx.fill();
+            }
+            
+            ctx.beginPath();
+            ctx.arc(guard.x, guard.y, guard.radius, 0, Math.PI * 2);
+            ctx.fillStyle = guard.color;
+            ctx.fill();
+            ctx.strokeStyle = '#000';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            
+            // Show which way the guard is looking
+            ctx.beginPath();
+            ctx.moveTo(guard.x, guard.y);
+            ctx.lineTo(
+                guard.x + Math.cos(guard.facing) * guard.radius * 1.5,
+                guard.y + Math.sin(guard.facing) * guard.radius * 1.5
+            );
+            ctx.stroke();
+            
+            const mark = GUARD_MARKS[guard.state];
+            if (mark) {
+                ctx.font = 'bold 18px Arial';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'bottom';
+                ctx.fillStyle = guard.state === 'alert' ? '#f22' : '#fc0';
+                ctx.fillText(mark, guard.x, guard.y - guard.radius - 4);
+            }
+        }
+        
+        /**
+         * Draws the area lit by a light source
+         * Fills the lit region from the last lighting update, the same
+         * polygon gameplay uses to decide whether the player is exposed
+         * @param {LightSource} light - Light source to draw
+         * @param {CanvasRenderingContext2D} ctx - Context to draw to, defaults to the main one
+         */
+        drawLightArea(light, ctx = this.ctx) {
+            const range = light.getRange();
+            const {r, g, b} = parseColor(light.color);
+            
+            // Create a radial gradient in the light's colour following its falloff curve
+            const gradient = ctx.createRadialGradient(
+                light.x, light.y, 0,
+                light.x, light.y, range
+            );
+            light.getFalloffStops().forEach(stop => {
+                gradient.addColorStop(stop.offset, `rgba(${r}, ${g}, ${b}, ${0.8 * stop.strength})`);
+            });
+            // The lit region covers the light's whole reach; nothing shows past its current range
+            gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+            
+            // Fill the lit region with the gradient
+            if (!this.tracePolygon(light.litRegion, ctx)) return;
+            ctx.fillStyle = gradient;
+            ctx.fill();
+        }
+        
+        /**
+         * Draws the lighting debug overlay
+         * Outlines every lit region and marks sample points where the lit
+         * region disagrees with a direct line-of-sight test: magenta where a
+         * point is drawn lit but has no line of sight, cyan the other way round
+         * @param {World} world - World to inspect
+         */
+        drawLightingDebug(world) {
+            const ctx = this.ctx;
+            
+            // Outline lit regions
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1;
+            world.lightSources.forEach(light => {
+                if (this.tracePolygon(light.litRegion)) {
+                    ctx.stroke();
+                }
+            });
+            
+            // Show the routes of lights following a path
+            ctx.save();
+            ctx.setLineDash([6, 6]);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+            world.lightSources.filter(light => light.path).forEach(light => {
+                const outline = light.path.getOutline();
+                ctx.beginPath();
+                ctx.moveTo(outline[0].x, outline[0].y);
+                outline.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+                ctx.stroke();
+            });
+            ctx.restore();
+            
+            // Mark disagreements
+            world.findLightingMismatches().forEach(point => {
+                ctx.fillStyle = point.lit ? '#f0f' : '#0ff';
+                ctx.fillRect(point.x - 3, point.y - 3, 6, 6);
+            });
+            
+            // Show which of the player's exposure samples are lit
+            world.player.getSamplePoints().forEach(point => {
+                ctx.fillStyle = world.isPointLit(point) ? '#f00' : '#0f0';
+                ctx.fillRect(point.x - 1.5, point.y - 1.5, 3, 3);
+            });
+        }
+    }
+    
+    return { Renderer, parseColor };
+});
@@ -0,0 +1,321 @@
+/**
+ * Shadow Escape - Replays
+ *
+ * Records a level attempt as everything needed to play it again exactly:
+ * the level's seed, its starting state, the length of every simulation step
+ * and each change the input made to the player's steering or the shadow
+ * quality. Since the world
+ * is deterministic, feeding the same steering into a freshly loaded world
+ * reproduces the run, so recordings stay small.
+ *
+ * A recording also keeps a sparse trail of where the player actually went.
+ * Playback draws it as a ghost, which makes any divergence between the
+ * recorded and the replayed run obvious.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Bumped whenever the recording format changes
+    const RECORDING_VERSION = 2;
+    
+    // Steps between samples of the ghost trail
+    const GHOST_SAMPLE_STEPS = 4;
+    
+    // Playback speeds, slowest first
+    const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+    
+    /**
+     * Applies a recorded command to the world
+     * @param {World} world - World to apply it to
+     * @param {Array} command - ['target', x, y] to walk the player to a point, ['move', x, y] to steer
+     *     it in a direction, or ['shadows', optimized] to switch the shadow quality
+     */
+    function applyCommand(world, command) {
+        switch (command[0]) {
+            case 'target':
+                world.player.setTarget(command[1], command[2]);
+                break;
+            case 'move':
+                world.player.setMoveDirection(command[1], command[2]);
+                break;
+            case 'shadows':
+                world.setOptimizedShadows(command[1]);
+                break;
+        }
+    }
+    
+    /**
+     * Checks if a steering command would leave the player as it is
+     * Such commands are neither applied nor recorded
+     * @param {Player} player - Player the command is for
+     * @param {Array} command - Steering command
+     * @returns {boolean} True if the command changes nothing
+     */
+    function isNoOpCommand(player, command) {
+        if (command[0] === 'target') {
+            return !player.moveDirection && player.targetX === command[1] && player.targetY === command[2];
+        }
+        return !!player.moveDirection && player.moveDirection.x === command[1] && player.moveDirection.y === command[2];
+    }
+    
+    /**
+     * Serialises a recording for saving or sharing
+     * @param {Object} recording - Recording from ReplayRecorder.finish()
+     * @returns {string} Encoded recording
+     */
+    function encodeRecording(recording) {
+        return JSON.stringify(recording);
+    }
+    
+    /**
+     * Reads an encoded recording
+     * @param {string} text - Encoded recording
+     * @returns {Object} Recording
+     */
+    function decodeRecording(text) {
+        const recording = JSON.parse(text);
+        if (recording.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported replay version: ${recording.version}`);
+        }
+        return recording;
+    }
+    
+    /**
+     * Replay recorder
+     * Collects one level attempt as it is played
+     */
+    class ReplayRecorder {
+        /**
+         * Starts a recording
+         * @param {Object} start - How the level began
+         * @param {string} start.mode - Game mode, which decides how the level is built
+         * @param {number} start.seed - Seed of the world's random generator
+         * @param {number} start.level - Level number
+         * @param {number} start.difficulty - Difficulty multiplier
+         * @param {number} start.score - Score going into the level
+         * @param {boolean} start.optimizedShadows - Shadow quality the level started with
+         */
+        constructor(start) {
+            this.recording = {
+                version: RECORDING_VERSION,
+                mode: start.mode,
+                seed: start.seed,
+                level: start.level,
+                difficulty: start.difficulty,
+                score: start.score,
+                optimizedShadows: start.optimizedShadows,
+                steps: [], // Runs of equal steps [duration, count]
+                commands: [], // Steering and shadow quality changes [step, ...command]
+                ghost: [], // Player position every GHOST_SAMPLE_STEPS steps, as x, y pairs
+                result: null
+            };
+            this.stepCount = 0;
+        }
+        
+        /**
+         * Records a command applied before the coming step
+         * @param {Array} command - Steering command
+         */
+        recordCommand(command) {
+            this.recording.commands.push([this.stepCount].concat(command));
+        }
+        
+        /**
+         * Records a finished simulation step
+         * @param {number} deltaTime - Length of the step
+         * @param {Player} player - Player after the step
+         */
+        recordStep(deltaTime, player) {
+            const steps = this.recording.steps;
+            const last = steps[steps.length - 1];
+            if (last && last[0] === deltaTime) {
+                last[1]++;
+            } else {
+                steps.push([deltaTime, 1]);
+            }
+            
+            this.stepCount++;
+            if (this.stepCount % GHOST_SAMPLE_STEPS === 0) {
+                this.recording.ghost.push(Math.round(player.x * 10) / 10, Math.round(player.y * 10) / 10);
+            }
+        }
+        
+        /**
+         * Ends the recording
+         * @param {string} outcome - How the attempt ended: 'caught', 'complete', 'restart' or 'quit'
+         * @param {World} world - World at the end of the attempt
+         * @returns {Object} The finished recording
+         */
+        finish(outcome, world) {
+            this.recording.result = {outcome, score: world.score, time: world.time};
+            return this.recording;
+        }
+    }
+    
+    /**
+     * Replay player
+     * Re-simulates a recording in a fresh world, with seeking and speed control
+     */
+    class ReplayPlayer {
+        /**
+         * Creates a player for a recording
+         * @param {Object} recording - Recording to play
+         * @param {Function} createWorld - Builds the world the recording starts in (recording) => World
+         */
+        constructor(recording, createWorld) {
+            this.recording = recording;
+            this.createWorld = createWorld;
+            this.stepCount = recording.steps.reduce((total, run) => total + run[1], 0);
+            this.duration = recording.steps.reduce((total, run) => total + run[0] * run[1], 0);
+            this.speed = 1;
+            this.paused = false;
+            this.rewind();
+        }
+        
+        /**
+         * Goes back to the start of the recording
+         */
+        rewind() {
+            this.world = this.createWorld(this.recording);
+            this.step = 0;
+            this.commandIndex = 0;
+            this.accumulator = 0;
+        }
+        
+        /**
+         * Gets the length of a step
+         * @param {number} step - Step number
+         * @returns {number} Step length in milliseconds
+         */
+        getStepDuration(step) {
+            let first = 0;
+            for (let i = 0; i < this.recording.steps.length; i++) {
+                const [duration, count] = this.recording.steps[i];
+                if (step < first + count) return duration;
+                first += count;
+            }
+            return 0;
+        }
+        
+        /**
+         * Gets the step running at a point in the recording
+         * @param {number} time - Time since the level started
+         * @returns {number} Step number
+         */
+        getStepAt(time) {
+            let step = 0;
+            let elapsed = 0;
+            for (let i = 0; i < this.recording.steps.length; i++) {
+                const [duration, count] = this.recording.steps[i];
+                if (elapsed + duration * count > time) {
+                    return step + Math.floor((time - elapsed) / duration);
+                }
+                step += count;
+                elapsed += duration * count;
+            }
+            return step;
+        }
+        
+        /**
+         * Runs the next recorded step
+         */
+        stepForward() {
+            const commands = this.recording.commands;
+            while (this.commandIndex < commands.length && commands[this.commandIndex][0] === this.step) {
+                applyCommand(this.world, commands[this.commandIndex].slice(1));
+                this.commandIndex++;
+            }
+            
+            this.world.update(this.getStepDuration(this.step));
+            this.step++;
+        }
+        
+        /**
+         * Jumps to a step, re-simulating from the start when going back
+         * @param {number} step - Step to jump to
+         */
+        seek(step) {
+            const target = Math.max(0, Math.min(this.stepCount, step));
+            if (target < this.step) {
+                this.rewind();
+            }
+            while (this.step < target) {
+                this.stepForward();
+            }
+            this.accumulator = 0;
+        }
+        
+        /**
+         * Jumps forwards or backwards in time
+         * @param {number} offset - Milliseconds to move by, negative to go back
+         */
+        seekBy(offset) {
+            this.seek(this.getStepAt(Math.max(0, this.world.time + offset)));
+        }
+        
+        /**
+         * Moves to the next slower or faster playback speed
+         * @param {number} direction - -1 for slower, 1 for faster
+         */
+        changeSpeed(direction) {
+            const index = REPLAY_SPEEDS.indexOf(this.speed) + direction;
+            this.speed = REPLAY_SPEEDS[Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, index))];
+        }
+        
+        /**
+         * Plays the recording on by a frame's worth of time
+         * @param {number} deltaTime - Time elapsed since last frame
+         */
+        advance(deltaTime) {
+            if (this.paused) return;
+            
+            this.accumulator += deltaTime * this.speed;
+            while (!this.isFinished() && this.accumulator >= this.getStepDuration(this.step)) {
+                this.accumulator -= this.getStepDuration(this.step);
+                this.stepForward();
+            }
+        }
+        
+        /**
+         * Checks if every recorded step has been played
+         * @returns {boolean} True at the end of the recording
+         */
+        isFinished() {
+            return this.step >= this.stepCount;
+        }
+        
+        /**
+         * Gets where the recorded player was at the current step
+         * @returns {Object|null} Point {x, y}, or null before the first sample
+         */
+        getGhostPosition() {
+            const ghost = this.recording.ghost;
+            const samples = ghost.length / 2;
+            const position = this.step / GHOST_SAMPLE_STEPS - 1;
+            if (samples === 0 || position < 0) return null;
+            
+            // Interpolate between the samples either side
+            const index = Math.min(Math.floor(position), samples - 1);
+            const next = Math.min(index + 1, samples - 1);
+            const blend = Math.min(1, position - index);
+            return {
+                x: ghost[index * 2] + (ghost[next * 2] - ghost[index * 2]) * blend,
+                y: ghost[index * 2 + 1] + (ghost[next * 2 + 1] - ghost[index * 2 + 1]) * blend
+            };
+        }
+    }
+    
+    return {
+        ReplayRecorder,
+        ReplayPlayer,
+        applyCommand,
+        isNoOpCommand,
+        encodeRecording,
+        decodeRecording
+    };
+});
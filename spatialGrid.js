@@ -0,0 +1,199 @@
+/**
+ * Shadow Escape - Spatial Grid
+ *
+ * A uniform grid that buckets obstacles by the cells their bounding boxes
+ * cover. Lights, guards and line-of-sight checks ask it for the obstacles
+ * near a point or along a line instead of testing every obstacle in the
+ * level, so the cost of lighting follows how crowded a light's reach is
+ * rather than how many obstacles the level holds.
+ *
+ * The grid only answers "which obstacles might matter": callers still run
+ * their exact tests on what it returns. Results keep the order obstacles
+ * were inserted in, so queries never change the outcome of a simulation.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_CELL_SIZE = 100; // Pixels; roughly the size of a typical obstacle
+    
+    /**
+     * ObstacleGrid class
+     * Broad-phase lookup of obstacles by area
+     */
+    class ObstacleGrid {
+        /**
+         * Creates an empty grid
+         * @param {number} cellSize - Width and height of each cell in pixels
+         */
+        constructor(cellSize = DEFAULT_CELL_SIZE) {
+            this.cellSize = cellSize;
+            this.entries = []; // Inserted obstacles with their bounds {obstacle, bounds}
+            this.cells = new Map(); // Cell key -> indices into entries
+        }
+        
+        /**
+         * Removes every obstacle
+         */
+        clear() {
+            this.entries.length = 0;
+            this.cells.clear();
+        }
+        
+        /**
+         * Replaces the contents of the grid
+         * Run after obstacles move, since the grid stores where they were
+         * @param {Array} obstacles - Obstacles exposing getBounds()
+         */
+        rebuild(obstacles) {
+            this.clear();
+            obstacles.forEach(obstacle => this.insert(obstacle));
+        }
+        
+        /**
+         * Adds an obstacle to every cell its bounding box touches
+         * @param {Obstacle} obstacle - Obstacle exposing getBounds()
+         */
+        insert(obstacle) {
+            const bounds = obstacle.getBounds();
+            const index = this.entries.length;
+            this.entries.push({obstacle, bounds});
+            
+            this.forEachCell(bounds.x, bounds.y, bounds.x + bounds.width, bounds.y + bounds.height, (cellX, cellY) => {
+                const key = this.getKey(cellX, cellY);
+                const cell = this.cells.get(key);
+                if (cell) {
+                    cell.push(index);
+                } else {
+                    this.cells.set(key, [index]);
+                }
+            });
+        }
+        
+        /**
+         * Gets the cell coordinate a position falls in
+         * @param {number} position - X or Y position in pixels
+         * @returns {number} Cell column or row
+         */
+        getCell(position) {
+            return Math.floor(position / this.cellSize);
+        }
+        
+        /**
+         * Gets the map key of a cell
+         * @param {number} cellX - Cell column
+         * @param {number} cellY - Cell row
+         * @returns {string} Key identifying the cell
+         */
+        getKey(cellX, cellY) {
+            return cellX + ',' + cellY;
+        }
+        
+        /**
+         * Calls back with every cell overlapping a box
+         * @param {number} minX - Left edge
+         * @param {number} minY - Top edge
+         * @param {number} maxX - Right edge
+         * @param {number} maxY - Bottom edge
+         * @param {Function} callback - Called with (cellX, cellY)
+         */
+        forEachCell(minX, minY, maxX, maxY, callback) {
+            const lastX = this.getCell(maxX);
+            const lastY = this.getCell(maxY);
+            for (let cellY = this.getCell(minY); cellY <= lastY; cellY++) {
+                for (let cellX = this.getCell(minX); cellX <= lastX; cellX++) {
+                    callback(cellX, cellY);
+                }
+            }
+        }
+        
+        /**
+         * Adds the indices stored in a cell to a set
+         * @param {Set} found - Indices collected so far
+         * @param {number} cellX - Cell column
+         * @param {number} cellY - Cell row
+         */
+        collectCell(found, cellX, cellY) {
+            const cell = this.cells.get(this.getKey(cellX, cellY));
+            if (cell) {
+                cell.forEach(index => found.add(index));
+            }
+        }
+        
+        /**
+         * Turns collected indices back into entries, in insertion order
+         * @param {Set} found - Indices into entries
+         * @returns {Array} Entries {obstacle, bounds}
+         */
+        getEntries(found) {
+            return Array.from(found).sort((a, b) => a - b).map(index => this.entries[index]);
+        }
+        
+        /**
+         * Finds the obstacles whose bounding boxes reach within a radius of a point
+         * Used to skip obstacles beyond a light's reach
+         * @param {Object} center - Point {x, y}
+         * @param {number} radius - Distance from the point
+         * @returns {Array} Obstacles that may lie within the radius
+         */
+        queryCircle(center, radius) {
+            const found = new Set();
+            this.forEachCell(center.x - radius, center.y - radius, center.x + radius, center.y + radius, (cellX, cellY) => {
+                this.collectCell(found, cellX, cellY);
+            });
+            
+            return this.getEntries(found).filter(({bounds}) => {
+                // Distance from the center to the nearest point of the box
+                const dx = Math.max(bounds.x - center.x, 0, center.x - bounds.x - bounds.width);
+                const dy = Math.max(bounds.y - center.y, 0, center.y - bounds.y - bounds.height);
+                return dx * dx + dy * dy <= radius * radius;
+            }).map(entry => entry.obstacle);
+        }
+        
+        /**
+         * Finds the obstacles in the cells a line passes through
+         * Walks the grid cell by cell from one end of the line to the other
+         * @param {Object} a - Start point {x, y}
+         * @param {Object} b - End point {x, y}
+         * @returns {Array} Obstacles that may cross the line
+         */
+        querySegment(a, b) {
+            const found = new Set();
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const stepX = Math.sign(dx);
+            const stepY = Math.sign(dy);
+            let cellX = this.getCell(a.x);
+            let cellY = this.getCell(a.y);
+            
+            // Fraction of the line travelled when it next crosses a column or row boundary
+            let nextX = dx !== 0 ? ((cellX + (dx > 0 ? 1 : 0)) * this.cellSize - a.x) / dx : Infinity;
+            let nextY = dy !== 0 ? ((cellY + (dy > 0 ? 1 : 0)) * this.cellSize - a.y) / dy : Infinity;
+            const deltaX = dx !== 0 ? this.cellSize / Math.abs(dx) : Infinity;
+            const deltaY = dy !== 0 ? this.cellSize / Math.abs(dy) : Infinity;
+            
+            this.collectCell(found, cellX, cellY);
+            
+            // One step per boundary crossed, so rounding can't make the walk overshoot
+            const steps = Math.abs(this.getCell(b.x) - cellX) + Math.abs(this.getCell(b.y) - cellY);
+            for (let i = 0; i < steps; i++) {
+                if (nextX < nextY) {
+                    cellX += stepX;
+                    nextX += deltaX;
+                } else {
+                    cellY += stepY;
+                    nextY += deltaY;
+                }
+                this.collectCell(found, cellX, cellY);
+            }
+            
+            return this.getEntries(found).map(entry => entry.obstacle);
+        }
+    }
+    
+    return { ObstacleGrid };
+});
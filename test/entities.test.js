@@ -0,0 +1,548 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    LightSource,
+    Spotlight,
+    RectangleObstacle,
+    CircleObstacle,
+    PolygonObstacle,
+    DoorObstacle,
+    Player
+} = require('../entities.js');
+const { Path } = require('../paths.js');
+
+function createPlayerAt(x, y) {
+    const player = new Player();
+    player.reset(x, y);
+    return player;
+}
+
+describe('LightSource.lineIntersection', () => {
+    const light = new LightSource(0, 0);
+
+    it('detects crossing segments', () => {
+        assert.strictEqual(light.lineIntersection(0, 0, 10, 10, 0, 10, 10, 0), true);
+    });
+
+    it('ignores segments that would only meet when extended', () => {
+        assert.strictEqual(light.lineIntersection(0, 0, 4, 4, 0, 10, 10, 0), false);
+    });
+
+    it('treats parallel segments as not intersecting', () => {
+        assert.strictEqual(light.lineIntersection(0, 0, 10, 0, 0, 5, 10, 5), false);
+    });
+
+    it('counts touching endpoints as an intersection', () => {
+        assert.strictEqual(light.lineIntersection(0, 0, 5, 5, 5, 5, 10, 0), true);
+    });
+});
+
+describe('LightSource.isPointInShadow', () => {
+    const light = new LightSource(100, 100);
+    const wall = new RectangleObstacle(200, 50, 20, 100);
+
+    it('is true when the obstacle is between the light and the point', () => {
+        assert.strictEqual(light.isPointInShadow({x: 300, y: 100}, wall), true);
+    });
+
+    it('is false when the point is in front of the obstacle', () => {
+        assert.strictEqual(light.isPointInShadow({x: 150, y: 100}, wall), false);
+    });
+
+    it('is false when the line of sight passes beside the obstacle', () => {
+        assert.strictEqual(light.isPointInShadow({x: 300, y: 300}, wall), false);
+    });
+
+    it('works with circle obstacles', () => {
+        const pillar = new CircleObstacle(200, 100, 30);
+        assert.strictEqual(light.isPointInShadow({x: 300, y: 100}, pillar), true);
+        assert.strictEqual(light.isPointInShadow({x: 100, y: 300}, pillar), false);
+    });
+});
+
+describe('LightSource.checkPlayerInLight', () => {
+    const light = new LightSource(100, 100, 10, '#ffff00', 300);
+
+    it('is true for an unobstructed player within range', () => {
+        assert.strictEqual(light.checkPlayerInLight(createPlayerAt(200, 200), []), true);
+    });
+
+    it('is false for a player beyond the light radius', () => {
+        assert.strictEqual(light.checkPlayerInLight(createPlayerAt(700, 500), []), false);
+    });
+
+    it('is false for a player hidden behind an obstacle', () => {
+        const wall = new RectangleObstacle(200, 50, 20, 100);
+        assert.strictEqual(light.checkPlayerInLight(createPlayerAt(300, 100), [wall]), false);
+    });
+
+    it('is true when obstacles do not block the line of sight', () => {
+        const wall = new RectangleObstacle(200, 50, 20, 100);
+        assert.strictEqual(light.checkPlayerInLight(createPlayerAt(100, 250), [wall]), true);
+    });
+});
+
+describe('Player.getSamplePoints', () => {
+    it('covers the player disc, center included', () => {
+        const player = createPlayerAt(100, 200);
+
+        const samples = player.getSamplePoints();
+
+        assert.deepStrictEqual(samples[0], {x: 100, y: 200});
+        assert.strictEqual(samples.length, 21);
+        samples.forEach(point => {
+            assert.ok(Math.hypot(point.x - 100, point.y - 200) <= player.radius);
+        });
+    });
+});
+
+describe('Player collision', () => {
+    /**
+     * Moves a player towards a target for a number of frames
+     * @param {Player} player - Player to move
+     * @param {Object} target - Target point {x, y}
+     * @param {Array} obstacles - Obstacles to collide with
+     * @param {number} frames - Number of 16ms frames
+     */
+    function walk(player, target, obstacles, frames = 100) {
+        player.targetX = target.x;
+        player.targetY = target.y;
+        for (let i = 0; i < frames; i++) {
+            player.update(16, obstacles);
+        }
+    }
+
+    it('stops against a rectangle instead of walking through it', () => {
+        const player = createPlayerAt(100, 100);
+        const wall = new RectangleObstacle(150, 0, 20, 200);
+
+        walk(player, {x: 300, y: 100}, [wall]);
+
+        assert.ok(Math.abs(player.x - (150 - player.radius)) < 1e-6);
+        assert.strictEqual(player.y, 100);
+    });
+
+    it('slides along a wall it walks into at an angle', () => {
+        const player = createPlayerAt(100, 100);
+        const wall = new RectangleObstacle(150, 0, 20, 400);
+
+        walk(player, {x: 300, y: 300}, [wall]);
+
+        assert.ok(player.x <= 150 - player.radius + 1e-6);
+        assert.ok(Math.abs(player.y - 300) < 1);
+    });
+
+    it('cannot skip through a thin wall in one large step', () => {
+        const player = createPlayerAt(100, 100);
+        const wall = new RectangleObstacle(150, 0, 4, 200);
+
+        walk(player, {x: 600, y: 100}, [wall], 1);
+        player.update(200, [wall]);
+
+        assert.ok(player.x < 150);
+    });
+
+    it('rounds circle obstacles', () => {
+        const player = createPlayerAt(100, 100);
+        const pillar = new CircleObstacle(200, 110, 30);
+
+        walk(player, {x: 300, y: 100}, [pillar], 200);
+
+        assert.ok(Math.hypot(player.x - 200, player.y - 110) >= 30 + player.radius - 1e-6);
+        assert.ok(player.x > 200, 'slides around the pillar');
+    });
+
+    it('keeps out of polygon obstacles', () => {
+        const player = createPlayerAt(100, 100);
+        const diamond = new PolygonObstacle([{x: 200, y: 50}, {x: 250, y: 100}, {x: 200, y: 150}, {x: 150, y: 100}]);
+
+        walk(player, {x: 200, y: 100}, [diamond]);
+
+        assert.strictEqual(diamond.getCollisionPush({x: player.x, y: player.y, radius: player.radius - 1e-6}), null);
+    });
+});
+
+describe('Moving obstacles', () => {
+    /**
+     * Rounds the coordinates of a list of points
+     * @param {Array} points - Points {x, y}
+     * @returns {Array} Points with coordinates rounded to 1e-9
+     */
+    function rounded(points) {
+        return points.map(point => ({x: Math.round(point.x * 1e9) / 1e9, y: Math.round(point.y * 1e9) / 1e9}));
+    }
+
+    it('turns rectangles about their center', () => {
+        const box = new RectangleObstacle(100, 100, 40, 20);
+        box.rotationSpeed = Math.PI / 2000;
+
+        box.placeAtTime(1000);
+
+        assert.deepStrictEqual(rounded(box.getCorners()), [
+            {x: 130, y: 90},
+            {x: 130, y: 130},
+            {x: 110, y: 130},
+            {x: 110, y: 90}
+        ]);
+        assert.ok(box.getCollisionPush({x: 120, y: 135, radius: 10}));
+        assert.strictEqual(box.getCollisionPush({x: 100, y: 110, radius: 5}), null);
+    });
+
+    it('carries polygons along their path', () => {
+        const triangle = new PolygonObstacle([{x: 0, y: 0}, {x: 30, y: 0}, {x: 0, y: 30}]);
+        triangle.setPath(new Path({points: [{x: 10, y: 10}, {x: 110, y: 10}], mode: 'once', speed: 0.1}));
+
+        triangle.placeAtTime(500);
+
+        assert.deepStrictEqual(rounded(triangle.getCorners()), [{x: 50, y: 0}, {x: 80, y: 0}, {x: 50, y: 30}]);
+        assert.deepStrictEqual(triangle.getCenter(), {x: 60, y: 10});
+    });
+
+    it('leaves static obstacles where they are', () => {
+        const pillar = new CircleObstacle(200, 110, 30);
+
+        pillar.placeAtTime(5000);
+
+        assert.deepStrictEqual(pillar.getCenter(), {x: 200, y: 110});
+    });
+});
+
+describe('Obstacle transforms', () => {
+    it('rotate and scale rectangles about their center', () => {
+        const box = new RectangleObstacle(100, 100, 40, 20);
+
+        box.setTransform({rotation: Math.PI / 2, scale: 2});
+
+        const bounds = box.getBounds();
+        assert.ok(Math.abs(bounds.x - 100) < 1e-9 && Math.abs(bounds.width - 40) < 1e-9);
+        assert.ok(Math.abs(bounds.y - 70) < 1e-9 && Math.abs(bounds.height - 80) < 1e-9);
+        assert.ok(box.getCollisionPush({x: 120, y: 75, radius: 5}));
+    });
+
+    it('treat whole turns as unturned', () => {
+        const box = new RectangleObstacle(100, 100, 40, 20);
+        assert.strictEqual(box.isRotated(), false);
+
+        box.setTransform({rotation: Math.PI * 2});
+        assert.strictEqual(box.isRotated(), false);
+
+        box.setTransform({rotation: Math.PI / 2});
+        assert.strictEqual(box.isRotated(), true);
+    });
+
+    it('scale circles and their collisions', () => {
+        const pillar = new CircleObstacle(200, 200, 20);
+
+        pillar.setTransform({scale: 1.5});
+
+        assert.strictEqual(pillar.getRadius(), 30);
+        assert.ok(pillar.getCollisionPush({x: 200, y: 240, radius: 15}));
+        assert.strictEqual(pillar.getCollisionPush({x: 200, y: 250, radius: 15}), null);
+    });
+
+    it('keep moving obstacles turning from where they were placed', () => {
+        const box = new RectangleObstacle(0, 0, 40, 20);
+        box.setTransform({rotation: Math.PI / 4});
+        box.rotationSpeed = 0.001;
+
+        box.placeAtTime(1000);
+
+        assert.strictEqual(box.transform.rotation, Math.PI / 4 + 1);
+    });
+});
+
+describe('PolygonObstacle', () => {
+    const ell = [{x: 0, y: 0}, {x: 20, y: 0}, {x: 20, y: 60}, {x: 60, y: 60}, {x: 60, y: 80}, {x: 0, y: 80}];
+
+    it('accepts concave outlines and keeps light out of their notch', () => {
+        const wall = new PolygonObstacle(ell);
+        const light = new LightSource(70, 10, 10, '#ffff00', 300, 0);
+
+        light.updateLitRegion([wall]);
+
+        assert.strictEqual(light.isPointLit({x: 40, y: 40}), true);
+        assert.strictEqual(light.isPointLit({x: 10, y: 40}), false);
+        assert.ok(wall.getCollisionPush({x: 30, y: 50, radius: 15}));
+        assert.strictEqual(wall.getCollisionPush({x: 40, y: 40, radius: 15}), null);
+    });
+
+    it('drops a repeated closing point and winds clockwise', () => {
+        const diamond = new PolygonObstacle([{x: 0, y: 10}, {x: 10, y: 20}, {x: 20, y: 10}, {x: 10, y: 0}, {x: 0, y: 10}]);
+
+        assert.deepStrictEqual(diamond.getCorners(), [{x: 10, y: 0}, {x: 20, y: 10}, {x: 10, y: 20}, {x: 0, y: 10}]);
+    });
+
+    it('rejects outlines it cannot cast shadows from', () => {
+        assert.throws(() => new PolygonObstacle([{x: 0, y: 0}, {x: 10, y: 0}]), /at least three points/);
+        assert.throws(() => new PolygonObstacle([{x: 0, y: 0}, {x: 5, y: 0}, {x: 10, y: 0}]), /at least three points/);
+        assert.throws(
+            () => new PolygonObstacle([{x: 0, y: 0}, {x: 20, y: 20}, {x: 20, y: 0}, {x: 0, y: 10}]),
+            /edges must not cross/
+        );
+    });
+});
+
+describe('CircleObstacle tessellation', () => {
+    /**
+     * Works out how far a circle's shadow strays from the true circle's at a given range
+     * @param {CircleObstacle} circle - Circle obstacle
+     * @param {Object} viewpoint - Point {x, y} the shadow is cast from
+     * @param {number} range - Shadow length from the viewpoint
+     * @returns {number} Worst-case error in pixels
+     */
+    function shadowError(circle, viewpoint, range) {
+        const count = circle.getCorners(viewpoint, range).length;
+        const distance = Math.hypot(viewpoint.x - circle.transform.x, viewpoint.y - circle.transform.y);
+        return circle.getRadius() * (1 - Math.cos(Math.PI / count)) * range / distance;
+    }
+
+    it('adds points as a light draws near a large circle', () => {
+        const circle = new CircleObstacle(400, 300, 75);
+        const far = circle.getCorners({x: 400, y: -400}, 300).length;
+        const near = circle.getCorners({x: 400, y: 200}, 400).length;
+
+        assert.ok(near > far);
+        assert.ok(shadowError(circle, {x: 400, y: -400}, 300) <= 1);
+        assert.ok(shadowError(circle, {x: 400, y: 200}, 400) <= 1);
+    });
+
+    it('keeps the plain outline for small circles far from the light', () => {
+        const circle = new CircleObstacle(400, 300, 20);
+        assert.strictEqual(circle.getCorners({x: 400, y: -400}, 300).length, 12);
+    });
+
+    it('uses its plain outline when nothing is looking', () => {
+        assert.strictEqual(new CircleObstacle(400, 300, 75).getCorners().length, 12);
+    });
+});
+
+describe('DoorObstacle', () => {
+    it('slides open and shut on its timer', () => {
+        const door = new DoorObstacle(100, 100, 80, 10, 1000, 2000);
+
+        assert.strictEqual(door.isSolid(), true);
+        door.placeAtTime(1250);
+        assert.strictEqual(door.width, 40);
+        assert.strictEqual(door.isSolid(), true);
+        door.placeAtTime(2000);
+        assert.strictEqual(door.isSolid(), false);
+        door.placeAtTime(3750);
+        assert.strictEqual(door.width, 40);
+        door.placeAtTime(4000);
+        assert.strictEqual(door.width, 80);
+    });
+
+    it('starts part way through its cycle with a phase', () => {
+        const door = new DoorObstacle(100, 100, 10, 80, 1000, 2000, 1500);
+        assert.strictEqual(door.isSolid(), false);
+        assert.strictEqual(door.height, 0);
+    });
+
+    it('keeps its full size across the short side', () => {
+        const door = new DoorObstacle(100, 100, 80, 20);
+        assert.strictEqual(door.height, 20);
+        door.getCorners().forEach(corner => {
+            assert.ok(Number.isFinite(corner.x) && Number.isFinite(corner.y));
+        });
+
+        const upright = new DoorObstacle(100, 100, 20, 80);
+        assert.strictEqual(upright.width, 20);
+    });
+});
+
+describe('Breakable obstacles', () => {
+    it('break after taking their durability in light', () => {
+        const cover = new RectangleObstacle(100, 100, 40, 40);
+        cover.durability = 1000;
+
+        assert.strictEqual(cover.absorbLight(0.5, 1500), false);
+        assert.strictEqual(cover.absorbLight(1, 300), true);
+        assert.strictEqual(cover.isSolid(), false);
+
+        cover.reset();
+        assert.strictEqual(cover.isSolid(), true);
+        assert.strictEqual(cover.damage, 0);
+    });
+
+    it('are unbreakable by default', () => {
+        const wall = new RectangleObstacle(100, 100, 40, 40);
+        assert.strictEqual(wall.absorbLight(1, 1e9), false);
+        assert.strictEqual(wall.isSolid(), true);
+    });
+});
+
+describe('LightSource falloff', () => {
+    it('fades linearly to zero at the edge of the light', () => {
+        const light = new LightSource(0, 0, 10, '#ffff00', 200);
+        light.setFalloff('linear');
+
+        assert.strictEqual(light.getIntensityAt(0), 1);
+        assert.strictEqual(light.getIntensityAt(100), 0.5);
+        assert.strictEqual(light.getIntensityAt(200), 0);
+        assert.strictEqual(light.getIntensityAt(500), 0);
+    });
+
+    it('drops faster than linear with inverse-square falloff', () => {
+        const light = new LightSource(0, 0, 10, '#ffff00', 200);
+        light.setFalloff('inverseSquare');
+
+        assert.strictEqual(light.getIntensityAt(0), 1);
+        assert.ok(light.getIntensityAt(100) < 0.5);
+        assert.ok(Math.abs(light.getIntensityAt(199.999)) < 1e-4);
+    });
+
+    it('interpolates between custom stops', () => {
+        const light = new LightSource(0, 0, 10, '#ffff00', 100);
+        light.setFalloff([{offset: 1, strength: 0}, {offset: 0, strength: 1}, {offset: 0.5, strength: 1}]);
+
+        assert.strictEqual(light.getIntensityAt(25), 1);
+        assert.strictEqual(light.getIntensityAt(75), 0.5);
+        assert.deepStrictEqual(light.getFalloffStops().map(stop => stop.offset), [0, 0.5, 1]);
+    });
+
+    it('samples named curves into gradient stops', () => {
+        const light = new LightSource(0, 0);
+        light.setFalloff('linear');
+
+        const stops = light.getFalloffStops(5);
+
+        assert.deepStrictEqual(stops.map(stop => stop.strength), [1, 0.75, 0.5, 0.25, 0]);
+    });
+
+    it('rejects unknown curves', () => {
+        const light = new LightSource(0, 0);
+        assert.throws(() => light.setFalloff('cubic'), /Unknown light falloff/);
+    });
+
+    it('is zero in shadow', () => {
+        const light = new LightSource(100, 100, 10, '#ffff00', 300);
+        light.updateLitRegion([new RectangleObstacle(200, 50, 20, 100)]);
+
+        assert.ok(light.getLightAt({x: 150, y: 100}) > 0);
+        assert.strictEqual(light.getLightAt({x: 300, y: 100}), 0);
+    });
+});
+
+describe('Spotlight', () => {
+    function createSpotlight(facing, sweep = 0) {
+        const spotlight = new Spotlight(100, 100, 300, Math.PI / 2, facing, sweep, 0);
+        spotlight.angle = 0;
+        spotlight.aim();
+        return spotlight;
+    }
+
+    it('only lights points inside its cone', () => {
+        // Sweep of 0 with a zero phase faces along the phase angle (east)
+        const spotlight = createSpotlight(0);
+        spotlight.updateLitRegion([]);
+
+        assert.strictEqual(spotlight.isPointLit({x: 200, y: 110}), true);
+        assert.strictEqual(spotlight.isPointLit({x: 0, y: 100}), false);
+        assert.strictEqual(spotlight.isPointLit({x: 100, y: 200}), false);
+    });
+
+    it('is blocked by obstacles inside the cone', () => {
+        const spotlight = createSpotlight(0);
+        const wall = new RectangleObstacle(150, 50, 10, 100);
+
+        assert.strictEqual(spotlight.checkPlayerInLight(createPlayerAt(250, 100), [wall]), false);
+        assert.strictEqual(spotlight.hasLineOfSight({x: 250, y: 100}, [wall]), false);
+    });
+
+    it('sweeps back and forth around its facing', () => {
+        const spotlight = new Spotlight(100, 100, 300, Math.PI / 6, Math.PI / 2, Math.PI / 2, 0.001);
+        spotlight.angle = 0;
+        const world = {width: 800, height: 600, time: 0};
+        const facings = [];
+
+        for (let i = 0; i < 100; i++) {
+            spotlight.update(100, world);
+            facings.push(spotlight.facing);
+        }
+
+        const min = Math.min(...facings);
+        const max = Math.max(...facings);
+        assert.ok(Math.abs(min - Math.PI / 4) < 0.01);
+        assert.ok(Math.abs(max - Math.PI * 3 / 4) < 0.01);
+        assert.strictEqual(spotlight.x, 100);
+        assert.strictEqual(spotlight.y, 100);
+    });
+});
+
+describe('Obstacle shape versions', () => {
+    it('change only when the outline does', () => {
+        const pillar = new CircleObstacle(200, 110, 30);
+        const turning = new RectangleObstacle(100, 100, 40, 20);
+        turning.rotationSpeed = 0.001;
+        const pillarKey = pillar.getShapeKey();
+        const turningKey = turning.getShapeKey();
+
+        pillar.placeAtTime(5000);
+        turning.placeAtTime(5000);
+
+        assert.strictEqual(pillar.getShapeKey(), pillarKey);
+        assert.notStrictEqual(turning.getShapeKey(), turningKey);
+        assert.notStrictEqual(pillar.getShapeKey(), new CircleObstacle(200, 110, 30).getShapeKey());
+    });
+
+    it('change while a door slides and when cover breaks', () => {
+        const door = new DoorObstacle(100, 100, 80, 10, 1000, 2000);
+        const shut = door.getShapeKey();
+        door.placeAtTime(500);
+        assert.strictEqual(door.getShapeKey(), shut);
+        door.placeAtTime(1250);
+        assert.notStrictEqual(door.getShapeKey(), shut);
+
+        const cover = new RectangleObstacle(100, 100, 40, 40);
+        cover.durability = 100;
+        const standing = cover.getShapeKey();
+        cover.absorbLight(1, 50);
+        assert.strictEqual(cover.getShapeKey(), standing);
+        cover.absorbLight(1, 50);
+        assert.notStrictEqual(cover.getShapeKey(), standing);
+    });
+
+    it('tell static obstacles from moving, breakable and door obstacles', () => {
+        const moving = new RectangleObstacle(0, 0, 10, 10);
+        moving.rotationSpeed = 0.001;
+        const breakable = new RectangleObstacle(0, 0, 10, 10);
+        breakable.durability = 100;
+
+        assert.strictEqual(new RectangleObstacle(0, 0, 10, 10).isStatic(), true);
+        assert.strictEqual(moving.isStatic(), false);
+        assert.strictEqual(breakable.isStatic(), false);
+        assert.strictEqual(new DoorObstacle(0, 0, 10, 80).isStatic(), false);
+    });
+});
+
+describe('LightSource lit region cache', () => {
+    it('reuses the lit region while nothing it depends on changes', () => {
+        const light = new LightSource(100, 100, 10, '#fff', 200, 0);
+        const wall = new RectangleObstacle(150, 50, 20, 100);
+        const region = light.updateLitRegion([wall]);
+
+        light.pulseAmount = -0.1;
+        assert.strictEqual(light.updateLitRegion([wall]), region);
+        assert.strictEqual(light.isPointLit({x: 285, y: 200}), false, 'the pulse still trims the reach');
+
+        light.x = 101;
+        assert.notStrictEqual(light.updateLitRegion([wall]), region);
+    });
+
+    it('recomputes when a blocking obstacle changes or the quality does', () => {
+        const light = new LightSource(100, 100, 10, '#fff', 200, 0);
+        const wall = new RectangleObstacle(150, 50, 20, 100);
+        light.updateLitRegion([wall]);
+        assert.strictEqual(light.isPointLit({x: 200, y: 100}), false);
+
+        wall.setTransform({y: 300});
+        light.updateLitRegion([wall]);
+        assert.strictEqual(light.isPointLit({x: 200, y: 100}), true);
+
+        const region = light.litRegion;
+        light.useOptimizedShadows = false;
+        assert.notStrictEqual(light.updateLitRegion([wall]), region);
+        assert.notStrictEqual(light.updateLitRegion([]), light.updateLitRegion([wall]));
+    });
+});
@@ -0,0 +1,681 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { createGame, GAME_STATE, GAME_MODE, SIMULATION_STEP, parseSeed } = require('../game.js');
+const { LightSource, RectangleObstacle } = require('../entities.js');
+const { createFakeCanvas, createFakeStorage } = require('./helpers.js');
+
+const HIGH_SCORE_KEY = 'shadowEscapeHighScore';
+const ENDLESS_HIGH_SCORE_KEY = 'shadowEscapeEndlessHighScore';
+
+// Full strength all the way to the edge of the light
+const FLAT_FALLOFF = [{offset: 0, strength: 1}, {offset: 1, strength: 1}];
+
+/**
+ * Replaces the loaded level with a single stationary light
+ * @param {Object} game - Game to modify
+ * @param {Object} options - Light position, optional wall between light and player, optional falloff
+ */
+function useStaticLight(game, { x, y, wall = null, falloff = FLAT_FALLOFF }) {
+    const world = game.world;
+    world.clear();
+
+    const light = new LightSource(x, y, 10, '#ffff00', 300, 0);
+    light.movementRange = 0;
+    light.setFalloff(falloff);
+    world.addLightSource(light);
+
+    if (wall) {
+        world.addObstacle(wall);
+    }
+}
+
+describe('game', () => {
+    let storage;
+    let canvas;
+    let game;
+
+    beforeEach(() => {
+        storage = createFakeStorage();
+        canvas = createFakeCanvas();
+        game = createGame(canvas, { storage });
+        game.startGame();
+    });
+
+    describe('updateGameplay', () => {
+        it('fills the danger meter while the player is lit', () => {
+            const player = game.world.player;
+            useStaticLight(game, { x: player.x + 50, y: player.y });
+
+            game.updateGameplay(100);
+            assert.strictEqual(player.exposureTime, 100 * 0.05 * game.difficulty);
+
+            game.updateGameplay(100);
+            assert.strictEqual(player.exposureTime, 2 * 100 * 0.05 * game.difficulty);
+            assert.strictEqual(game.world.score, 0);
+        });
+
+        it('drains the danger meter and awards points in shadow', () => {
+            const player = game.world.player;
+            const wall = new RectangleObstacle(player.x + 20, player.y - 50, 10, 100);
+            useStaticLight(game, { x: player.x + 100, y: player.y, wall });
+            player.exposureTime = 10;
+
+            game.updateGameplay(100);
+
+            assert.strictEqual(player.exposureTime, 10 - 100 * 0.01);
+            assert.strictEqual(game.world.score, 100 * 0.01 * game.level);
+        });
+
+        it('fills the danger meter in proportion to how much of the player is lit', () => {
+            const player = game.world.player;
+            // Shades the lower half of the player from a light to the right
+            const wall = new RectangleObstacle(player.x + 30, player.y, 5, 100);
+            useStaticLight(game, { x: player.x + 100, y: player.y, wall });
+
+            game.updateGameplay(100);
+
+            const exposure = game.world.playerExposure;
+            assert.ok(exposure > 0.3 && exposure < 0.7, `exposure ${exposure}`);
+            assert.strictEqual(player.exposureTime, 100 * 0.05 * game.difficulty * exposure);
+            assert.strictEqual(game.world.score, 0);
+        });
+
+        it('fills the danger meter more slowly at the fringe of a light', () => {
+            const player = game.world.player;
+            useStaticLight(game, { x: player.x + 50, y: player.y, falloff: 'linear' });
+            game.updateGameplay(100);
+            const nearExposure = player.exposureTime;
+
+            game.startGame();
+            useStaticLight(game, { x: player.x + 250, y: player.y, falloff: 'linear' });
+            game.updateGameplay(100);
+            const fringeExposure = player.exposureTime;
+
+            assert.ok(fringeExposure > 0);
+            assert.ok(fringeExposure < nearExposure / 2);
+        });
+
+        it('never drains the danger meter below zero', () => {
+            useStaticLight(game, { x: 700, y: 100 });
+
+            game.updateGameplay(1000);
+
+            assert.strictEqual(game.world.player.exposureTime, 0);
+        });
+
+        it('ends the game once the danger meter is full', () => {
+            const player = game.world.player;
+            useStaticLight(game, { x: player.x + 50, y: player.y });
+            player.exposureTime = player.maxExposureTime - 1;
+
+            game.updateGameplay(100);
+
+            assert.strictEqual(game.state, GAME_STATE.GAME_OVER);
+        });
+
+        it('completes the level when the timer runs out', () => {
+            useStaticLight(game, { x: 700, y: 100 });
+
+            game.updateGameplay(game.world.levelDuration);
+
+            assert.strictEqual(game.state, GAME_STATE.LEVEL_TRANSITION);
+        });
+
+        it('completes an exit level once the player reaches the exit', () => {
+            game.startLevel(6);
+            useStaticLight(game, { x: 100, y: 100 });
+            const exit = game.world.objective;
+
+            game.updateGameplay(SIMULATION_STEP);
+            assert.strictEqual(game.state, GAME_STATE.GAMEPLAY);
+
+            game.world.player.reset(exit.x + exit.width / 2, exit.y + exit.height / 2);
+            game.updateGameplay(SIMULATION_STEP);
+
+            assert.strictEqual(game.state, GAME_STATE.LEVEL_TRANSITION);
+        });
+
+        it('shows the objective progress in the HUD', () => {
+            const ctx = canvas.getContext('2d');
+            game.startLevel(7);
+
+            game.renderGameplay();
+
+            assert.ok(ctx.calls.some(call => call.name === 'fillText' && call.args[0] === 'Shards: 0/4'));
+        });
+    });
+
+    describe('input', () => {
+        it('moves the player with the keyboard', () => {
+            const player = game.world.player;
+            useStaticLight(game, { x: 700, y: 100 });
+            const startX = player.x;
+            const startY = player.y;
+
+            game.input.handleKeyDown('d');
+            for (let i = 0; i < 10; i++) {
+                game.updateGameplay(16);
+            }
+
+            assert.ok(player.x > startX + 20);
+            assert.strictEqual(player.y, startY);
+        });
+
+        it('coasts to a stop when the keys are released', () => {
+            const player = game.world.player;
+            useStaticLight(game, { x: 700, y: 100 });
+
+            game.input.handleKeyDown('d');
+            game.updateGameplay(16);
+            game.input.handleKeyUp('d');
+            for (let i = 0; i < 20; i++) {
+                game.updateGameplay(16);
+            }
+            const stoppedX = player.x;
+            game.updateGameplay(16);
+
+            assert.ok(Math.abs(player.x - stoppedX) < 0.01);
+        });
+
+        it('walks to the pointer once it moves', () => {
+            const player = game.world.player;
+            useStaticLight(game, { x: 700, y: 100 });
+            game.input.handleKeyDown('w');
+            game.updateGameplay(16);
+            game.input.handleKeyUp('w');
+
+            game.input.handleMouseMove(player.x + 100, player.y);
+            const targetX = player.x + 100;
+            for (let i = 0; i < 60; i++) {
+                game.updateGameplay(16);
+            }
+
+            assert.ok(Math.abs(player.x - targetX) < 2);
+        });
+
+        it('forgets pointer moves made before the level started', () => {
+            const player = game.world.player;
+            game.input.handleMouseMove(700, 100);
+
+            game.startLevel(1);
+            useStaticLight(game, { x: 700, y: 100 });
+            game.updateGameplay(16);
+
+            assert.deepStrictEqual({x: player.x, y: player.y}, game.world.getSpawnPoint());
+        });
+
+        it('toggles shadow quality with Q rather than S', () => {
+            const light = game.world.lightSources[0];
+            const optimized = light.useOptimizedShadows;
+
+            game.input.handleKeyDown('s');
+            assert.strictEqual(light.useOptimizedShadows, optimized);
+
+            game.input.handleKeyDown('q');
+            assert.strictEqual(light.useOptimizedShadows, !optimized);
+        });
+    });
+
+    describe('completeLevel', () => {
+        it('awards a bonus and moves on to the next level', () => {
+            game.completeLevel();
+
+            assert.strictEqual(game.world.score, 100);
+            assert.strictEqual(game.level, 2);
+            assert.strictEqual(game.difficulty, 1.2);
+            assert.strictEqual(game.state, GAME_STATE.LEVEL_TRANSITION);
+
+            game.updateLevelTransition(1999);
+            assert.strictEqual(game.state, GAME_STATE.LEVEL_TRANSITION);
+
+            game.updateLevelTransition(1);
+            assert.strictEqual(game.state, GAME_STATE.GAMEPLAY);
+            assert.strictEqual(game.world.level, 2);
+            assert.strictEqual(game.world.time, 0);
+        });
+
+        it('wins the game after the final level', () => {
+            game.level = game.maxLevel;
+
+            game.completeLevel();
+
+            assert.strictEqual(game.state, GAME_STATE.WIN);
+            assert.strictEqual(game.world.score, game.maxLevel * 100);
+        });
+    });
+
+    describe('fixed timestep', () => {
+        /**
+         * Plays level 1 holding a key for two seconds at a given refresh rate
+         * @param {number} refreshRate - Frames per second
+         * @returns {Object} Game after the run
+         */
+        function playAt(refreshRate) {
+            const run = createGame(createFakeCanvas(), { storage: createFakeStorage(), seed: 7 });
+            run.startGame();
+            run.input.handleKeyDown('d');
+
+            const frames = Math.round(2 * refreshRate);
+            for (let frame = 0; frame <= frames; frame++) {
+                run.runFrame(frame * 1000 / refreshRate);
+            }
+            return run;
+        }
+
+        it('plays the same on 60Hz and 144Hz displays', () => {
+            const slow = playAt(60);
+            const fast = playAt(144);
+
+            assert.strictEqual(slow.world.time, fast.world.time);
+            assert.strictEqual(slow.world.player.x, fast.world.player.x);
+            assert.strictEqual(slow.world.player.y, fast.world.player.y);
+            assert.deepStrictEqual(
+                slow.world.lightSources.map(light => [light.x, light.y]),
+                fast.world.lightSources.map(light => [light.x, light.y])
+            );
+        });
+
+        it('carries leftover frame time over to the next frame', () => {
+            game.runFrame(0);
+            game.runFrame(SIMULATION_STEP * 1.5);
+            assert.strictEqual(game.world.time, SIMULATION_STEP);
+
+            game.runFrame(SIMULATION_STEP * 2);
+            assert.strictEqual(game.world.time, SIMULATION_STEP * 2);
+        });
+
+        it('draws the player between its last two steps', () => {
+            const ctx = canvas.getContext('2d');
+            const player = game.world.player;
+            player.prevX = 100;
+            player.x = 120;
+            game.accumulator = SIMULATION_STEP / 4;
+
+            game.renderGameplay();
+
+            const playerArc = ctx.calls.find(call => call.name === 'arc' && call.args[2] === player.radius);
+            assert.strictEqual(playerArc.args[0], 105);
+        });
+    });
+
+    describe('seed', () => {
+        /**
+         * Plays level 3, whose lights wander randomly, for three seconds
+         * @param {number} seed - Game seed
+         * @returns {Array} Light positions at the end
+         */
+        function playLevel3(seed) {
+            const run = createGame(createFakeCanvas(), { storage: createFakeStorage(), seed });
+            run.startGame();
+            run.startLevel(3);
+            for (let i = 0; i < 3000 / SIMULATION_STEP; i++) {
+                run.updateGameplay(SIMULATION_STEP);
+            }
+            return run.world.lightSources.map(light => [light.x, light.y]);
+        }
+
+        it('replays identically with the same seed', () => {
+            assert.deepStrictEqual(playLevel3(1234), playLevel3(1234));
+        });
+
+        it('plays differently with another seed', () => {
+            assert.notDeepStrictEqual(playLevel3(1234), playLevel3(4321));
+        });
+
+        it('replays a restarted level from the same start', () => {
+            const seeded = createGame(createFakeCanvas(), { storage: createFakeStorage(), seed: 99 });
+            seeded.startGame();
+            const angles = seeded.world.lightSources.map(light => light.angle);
+            seeded.updateGameplay(500);
+
+            seeded.restartLevel();
+
+            assert.deepStrictEqual(seeded.world.lightSources.map(light => light.angle), angles);
+        });
+
+        it('is read from the page URL', () => {
+            assert.strictEqual(parseSeed('?seed=42'), 42);
+            assert.strictEqual(parseSeed('?seed=2026-10-19'), parseSeed('?level=2&seed=2026-10-19'));
+            assert.notStrictEqual(parseSeed('?seed=2026-10-19'), parseSeed('?seed=2026-10-20'));
+            assert.strictEqual(parseSeed(''), undefined);
+        });
+    });
+
+    describe('pause', () => {
+        it('freezes the game clock while paused', () => {
+            game.pause();
+
+            assert.strictEqual(game.state, GAME_STATE.PAUSED);
+            game.runFrame(0);
+            game.runFrame(5000);
+            assert.strictEqual(game.world.time, 0);
+
+            game.resume();
+            game.runFrame(5016);
+            assert.strictEqual(game.world.time, 16);
+        });
+
+        it('caps long frames so a returning tab cannot fill the danger meter', () => {
+            const player = game.world.player;
+            useStaticLight(game, { x: player.x + 50, y: player.y });
+
+            game.runFrame(0);
+            game.runFrame(60000);
+
+            // 100ms at most, in whole simulation steps
+            assert.strictEqual(game.world.time, Math.floor(100 / SIMULATION_STEP) * SIMULATION_STEP);
+            assert.strictEqual(game.state, GAME_STATE.GAMEPLAY);
+        });
+
+        it('toggles with Escape', () => {
+            game.input.handleKeyDown('Escape');
+            assert.strictEqual(game.state, GAME_STATE.PAUSED);
+
+            game.input.handleKeyDown('Escape');
+            assert.strictEqual(game.state, GAME_STATE.GAMEPLAY);
+        });
+
+        it('only pauses during gameplay', () => {
+            game.gameOver();
+
+            game.pause();
+
+            assert.strictEqual(game.state, GAME_STATE.GAME_OVER);
+        });
+
+        it('restarts the level with the score it started with', () => {
+            game.world.score = 40;
+            game.world.update(5000);
+            game.pause();
+
+            game.restartLevel();
+
+            assert.strictEqual(game.state, GAME_STATE.GAMEPLAY);
+            assert.strictEqual(game.world.score, 0);
+            assert.strictEqual(game.world.time, 0);
+        });
+
+        it('quits to the menu, keeping a new high score', () => {
+            game.world.score = 300;
+            game.pause();
+
+            game.quit();
+
+            assert.strictEqual(game.state, GAME_STATE.MENU);
+            assert.strictEqual(game.highScore, 300);
+        });
+    });
+
+    describe('replay', () => {
+        /**
+         * Plays level 3 with keys and the mouse at an uneven frame rate, then quits
+         * @returns {Object} Game after the run
+         */
+        function playAndQuit() {
+            const run = createGame(createFakeCanvas(), { storage: createFakeStorage(), seed: 5 });
+            run.startGame();
+            run.startLevel(3);
+
+            let time = 0;
+            run.runFrame(time);
+            for (let frame = 1; frame <= 480; frame++) {
+                if (frame === 10) run.input.handleKeyDown('d');
+                if (frame === 70) run.input.handleKeyDown('w');
+                if (frame === 120) run.input.releaseKeys();
+                if (frame === 150) run.input.handleMouseMove(200, 450);
+                time += frame % 3 === 0 ? 25 : 9;
+                run.runFrame(time);
+            }
+
+            run.pause();
+            run.quit();
+            return run;
+        }
+
+        it('plays a finished attempt back exactly', () => {
+            const run = playAndQuit();
+            const world = run.world;
+
+            run.startReplay(run.lastRecording);
+            run.replay.seek(run.replay.stepCount);
+
+            assert.strictEqual(run.state, GAME_STATE.REPLAY);
+            assert.strictEqual(run.replay.world.time, world.time);
+            assert.strictEqual(run.replay.world.score, world.score);
+            assert.strictEqual(run.replay.world.player.x, world.player.x);
+            assert.strictEqual(run.replay.world.player.y, world.player.y);
+        });
+
+        it('plays back the shadow quality the attempt was played at', () => {
+            const run = createGame(createFakeCanvas(), { storage: createFakeStorage(), seed: 5 });
+            run.startGame();
+            run.input.handleKeyDown('q');
+            run.startLevel(3);
+            run.input.handleKeyDown('d');
+            for (let i = 0; i < 120; i++) {
+                if (i === 60) run.input.handleKeyDown('q');
+                run.updateGameplay(SIMULATION_STEP);
+            }
+            run.finishRecording('quit');
+
+            run.startReplay(run.lastRecording);
+            run.replay.seek(60);
+            assert.strictEqual(run.replay.world.lightSources[0].useOptimizedShadows, false);
+
+            run.replay.seek(run.replay.stepCount);
+            assert.strictEqual(run.replay.world.lightSources[0].useOptimizedShadows, true);
+            assert.strictEqual(run.replay.world.player.exposureTime, run.world.player.exposureTime);
+        });
+
+        it('plays through the game loop, leaving the live world alone', () => {
+            const run = playAndQuit();
+            const time = run.world.time;
+            run.input.handleKeyDown('r');
+
+            let frameTime = 0;
+            while (!run.replay.isFinished()) {
+                frameTime += SIMULATION_STEP;
+                run.runFrame(frameTime);
+            }
+
+            assert.strictEqual(run.replay.world.time, time);
+            assert.strictEqual(run.world.time, time);
+        });
+
+        it('is controlled with the replay keys', () => {
+            const run = playAndQuit();
+            run.startReplay(run.lastRecording);
+
+            run.input.handleKeyDown(']');
+            run.input.handleKeyDown('.');
+            assert.strictEqual(run.replay.speed, 2);
+            assert.strictEqual(run.replay.world.time, 5000 - 5000 % SIMULATION_STEP);
+
+            run.input.handleKeyDown(',');
+            assert.strictEqual(run.replay.world.time, 0);
+
+            run.input.handleKeyDown(' ');
+            assert.strictEqual(run.replay.paused, true);
+        });
+
+        it('returns to where it was started from with Escape', () => {
+            const run = playAndQuit();
+            run.input.handleKeyDown('r');
+
+            run.input.handleKeyDown('Escape');
+
+            assert.strictEqual(run.state, GAME_STATE.MENU);
+            assert.strictEqual(run.replay, null);
+        });
+
+        it('is not started during gameplay', () => {
+            game.finishRecording('quit');
+            game.startLevel(1);
+
+            game.input.handleKeyDown('r');
+
+            assert.strictEqual(game.state, GAME_STATE.GAMEPLAY);
+        });
+    });
+
+    describe('endless mode', () => {
+        /**
+         * Starts an endless game and skips ahead to a level
+         * @param {number} levelNum - Level to play
+         * @param {Object} runCanvas - Canvas to play on
+         * @returns {Object} Game on that level
+         */
+        function playEndlessLevel(levelNum, runCanvas = createFakeCanvas()) {
+            const run = createGame(runCanvas, { storage, seed: 3 });
+            run.startGame(GAME_MODE.ENDLESS);
+            while (run.level < levelNum) {
+                run.completeLevel();
+                run.updateLevelTransition(Infinity);
+            }
+            return run;
+        }
+
+        it('plays the predefined levels first', () => {
+            const endless = playEndlessLevel(2);
+            const campaign = createGame(createFakeCanvas(), { storage, seed: 3 });
+            campaign.startGame();
+            campaign.completeLevel();
+            campaign.updateLevelTransition(Infinity);
+
+            assert.deepStrictEqual(
+                endless.world.obstacles.map(obstacle => obstacle.getCorners()),
+                campaign.world.obstacles.map(obstacle => obstacle.getCorners())
+            );
+        });
+
+        it('generates levels past the last predefined one', () => {
+            const run = playEndlessLevel(10, canvas);
+
+            assert.strictEqual(run.state, GAME_STATE.GAMEPLAY);
+            assert.strictEqual(run.level, 10);
+            assert.strictEqual(run.world.lightSources.length, 5);
+            assert.strictEqual(run.world.levelDuration, 45000);
+
+            run.renderGameplay();
+            const ctx = canvas.getContext('2d');
+            assert.ok(ctx.calls.some(call => call.name === 'fillText' && call.args[0] === 'Endless Level: 10'));
+        });
+
+        it('ramps the difficulty with every level', () => {
+            const run = playEndlessLevel(8);
+            assert.ok(Math.abs(run.difficulty - 2.4) < 1e-9);
+        });
+
+        it('goes on until the player is caught', () => {
+            const run = playEndlessLevel(8);
+
+            run.completeLevel();
+            assert.strictEqual(run.state, GAME_STATE.LEVEL_TRANSITION);
+
+            run.updateLevelTransition(Infinity);
+            const player = run.world.player;
+            useStaticLight(run, { x: player.x + 50, y: player.y });
+            player.exposureTime = player.maxExposureTime - 1;
+            run.updateGameplay(SIMULATION_STEP);
+            assert.strictEqual(run.state, GAME_STATE.GAME_OVER);
+        });
+
+        it('keeps its own high score', () => {
+            storage.setItem(HIGH_SCORE_KEY, '800');
+            const run = playEndlessLevel(1);
+            assert.strictEqual(run.highScore, 0);
+
+            run.world.score = 500;
+            run.gameOver();
+
+            assert.strictEqual(storage.getItem(ENDLESS_HIGH_SCORE_KEY), '500');
+            assert.strictEqual(storage.getItem(HIGH_SCORE_KEY), '800');
+
+            run.startGame();
+            assert.strictEqual(run.highScore, 800);
+        });
+
+        it('replays generated levels', () => {
+            const run = playEndlessLevel(9);
+            run.input.handleKeyDown('d');
+            for (let i = 0; i < 100; i++) {
+                run.updateGameplay(SIMULATION_STEP);
+            }
+            run.gameOver();
+            run.finishRecording('caught');
+
+            run.startReplay(run.lastRecording);
+            run.replay.seek(run.replay.stepCount);
+
+            assert.strictEqual(run.replay.world.player.x, run.world.player.x);
+            assert.deepStrictEqual(
+                run.replay.world.obstacles.map(obstacle => obstacle.getCorners()),
+                run.world.obstacles.map(obstacle => obstacle.getCorners())
+            );
+        });
+    });
+
+    describe('high score', () => {
+        it('is read from storage', () => {
+            storage.setItem(HIGH_SCORE_KEY, '1234');
+            const reloaded = createGame(createFakeCanvas(), { storage });
+
+            assert.strictEqual(reloaded.highScore, 1234);
+        });
+
+        it('is saved when a better score ends the game', () => {
+            game.world.score = 500;
+
+            game.gameOver();
+
+            assert.strictEqual(game.highScore, 500);
+            assert.strictEqual(storage.getItem(HIGH_SCORE_KEY), '500');
+        });
+
+        it('is kept when the new score is lower', () => {
+            storage.setItem(HIGH_SCORE_KEY, '800');
+            const reloaded = createGame(createFakeCanvas(), { storage });
+            reloaded.startGame();
+            reloaded.world.score = 500;
+
+            reloaded.winGame();
+
+            assert.strictEqual(reloaded.highScore, 800);
+            assert.strictEqual(storage.getItem(HIGH_SCORE_KEY), '800');
+        });
+    });
+
+    it('renders gameplay with a fake context', () => {
+        const ctx = canvas.getContext('2d');
+
+        game.renderGameplay();
+
+        const gradients = ctx.calls.filter(call => call.name === 'createRadialGradient');
+        assert.strictEqual(gradients.length, game.world.lightSources.length);
+        assert.ok(ctx.calls.some(call => call.name === 'fillText' && call.args[0] === 'Level: 1'));
+    });
+
+    it('lights the scene itself when the lighting worker cannot start', () => {
+        const fallbackCanvas = createFakeCanvas();
+        const fallback = createGame(fallbackCanvas, { storage, lightingWorker: true, createWorker: () => null });
+        fallback.startGame();
+
+        fallback.renderGameplay();
+
+        const gradients = fallbackCanvas.getContext('2d').calls.filter(call => call.name === 'createRadialGradient');
+        assert.strictEqual(gradients.length, fallback.world.lightSources.length);
+    });
+
+    it('sends the world to the lighting worker when one starts', () => {
+        const messages = [];
+        const worker = { postMessage: message => messages.push(message), terminate() {} };
+        const workerGame = createGame(createFakeCanvas(), { storage, lightingWorker: true, createWorker: () => worker });
+        workerGame.startGame();
+
+        workerGame.renderGameplay();
+
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].lights.length, workerGame.world.lightSources.length);
+    });
+});
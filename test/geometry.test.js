@@ -0,0 +1,171 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    lineIntersection,
+    getObstacleSegments,
+    computeVisibilityPolygon,
+    pointInPolygon,
+    circleCirclePush,
+    circleRectanglePush,
+    circlePolygonPush,
+    polygonSignedArea,
+    polygonCentroid,
+    isSimplePolygon
+} = require('../geometry.js');
+const { RectangleObstacle } = require('../entities.js');
+
+const square = [{x: 0, y: 0}, {x: 10, y: 0}, {x: 10, y: 10}, {x: 0, y: 10}];
+
+describe('lineIntersection', () => {
+    it('detects crossing segments', () => {
+        assert.strictEqual(lineIntersection(0, 0, 10, 10, 0, 10, 10, 0), true);
+        assert.strictEqual(lineIntersection(0, 0, 4, 4, 0, 10, 10, 0), false);
+    });
+});
+
+describe('pointInPolygon', () => {
+    it('detects points inside and outside a square', () => {
+        assert.strictEqual(pointInPolygon({x: 5, y: 5}, square), true);
+        assert.strictEqual(pointInPolygon({x: 15, y: 5}, square), false);
+        assert.strictEqual(pointInPolygon({x: -1, y: -1}, square), false);
+    });
+});
+
+describe('computeVisibilityPolygon', () => {
+    const light = {x: 100, y: 100};
+
+    it('is a circle of the given range with nothing in the way', () => {
+        const polygon = computeVisibilityPolygon(light, [], 200, 90);
+
+        assert.strictEqual(polygon.length, 90);
+        polygon.forEach(point => {
+            assert.ok(Math.abs(Math.hypot(point.x - light.x, point.y - light.y) - 200) < 1e-9);
+        });
+    });
+
+    it('excludes the shadow behind an obstacle', () => {
+        const wall = new RectangleObstacle(150, 80, 10, 40);
+        const polygon = computeVisibilityPolygon(light, getObstacleSegments([wall]), 300, 60);
+
+        assert.strictEqual(pointInPolygon({x: 140, y: 100}, polygon), true);
+        assert.strictEqual(pointInPolygon({x: 250, y: 100}, polygon), false);
+        assert.strictEqual(pointInPolygon({x: 250, y: 130}, polygon), false);
+    });
+
+    it('keeps lit ground right next to the shadow edge', () => {
+        const wall = new RectangleObstacle(150, 80, 10, 40);
+        const polygon = computeVisibilityPolygon(light, getObstacleSegments([wall]), 300, 60);
+
+        // The wall's silhouette runs from the light through (150, 80) to (250, 40)
+        assert.strictEqual(pointInPolygon({x: 250, y: 38}, polygon), true);
+        assert.strictEqual(pointInPolygon({x: 250, y: 42}, polygon), false);
+    });
+
+    it('never reaches past the range', () => {
+        const polygon = computeVisibilityPolygon(light, [], 50, 360);
+
+        assert.strictEqual(pointInPolygon({x: 149, y: 100}, polygon), true);
+        assert.strictEqual(pointInPolygon({x: 151, y: 100}, polygon), false);
+    });
+
+    it('follows edges that leave the light exactly', () => {
+        // A long wall crossing the edge of the light
+        const segments = [{a: {x: 150, y: -500}, b: {x: 150, y: 500}}];
+        const polygon = computeVisibilityPolygon(light, segments, 100, 4);
+
+        assert.strictEqual(pointInPolygon({x: 149, y: 120}, polygon), true);
+        assert.strictEqual(pointInPolygon({x: 151, y: 120}, polygon), false);
+    });
+
+    it('uses more edge rays at higher quality', () => {
+        const wall = new RectangleObstacle(150, 80, 10, 40);
+        const segments = getObstacleSegments([wall]);
+
+        const optimized = computeVisibilityPolygon(light, segments, 300, 60);
+        const full = computeVisibilityPolygon(light, segments, 300, 360);
+
+        assert.strictEqual(full.length - optimized.length, 300);
+    });
+
+    it('sweeps only the given arc and closes the cone at the origin', () => {
+        const polygon = computeVisibilityPolygon(light, [], 200, 60, {start: -Math.PI / 4, width: Math.PI / 2});
+
+        assert.deepStrictEqual(polygon[0], light);
+        assert.strictEqual(pointInPolygon({x: 250, y: 100}, polygon), true);
+        assert.strictEqual(pointInPolygon({x: 250, y: 240}, polygon), false);
+        assert.strictEqual(pointInPolygon({x: 50, y: 100}, polygon), false);
+    });
+
+    it('handles arcs that wrap past pi', () => {
+        const polygon = computeVisibilityPolygon(light, [], 200, 60, {start: Math.PI * 3 / 4, width: Math.PI / 2});
+
+        assert.strictEqual(pointInPolygon({x: -50, y: 100}, polygon), true);
+        assert.strictEqual(pointInPolygon({x: 250, y: 100}, polygon), false);
+    });
+});
+
+describe('circle collision', () => {
+    const rect = {x: 0, y: 0, width: 10, height: 10};
+    const diamond = [{x: 0, y: -10}, {x: 10, y: 0}, {x: 0, y: 10}, {x: -10, y: 0}];
+
+    it('pushes a circle back out of a rectangle side', () => {
+        assert.deepStrictEqual(circleRectanglePush({x: 13, y: 5, radius: 5}, rect), {x: 2, y: 0});
+        assert.strictEqual(circleRectanglePush({x: 16, y: 5, radius: 5}, rect), null);
+    });
+
+    it('pushes a circle away from a rectangle corner', () => {
+        const push = circleRectanglePush({x: 13, y: 13, radius: 5}, rect);
+
+        assert.ok(Math.abs(push.x - push.y) < 1e-9);
+        assert.ok(Math.abs(Math.hypot(13 + push.x - 10, 13 + push.y - 10) - 5) < 1e-9);
+    });
+
+    it('pushes a circle centered inside a rectangle out of the nearest side', () => {
+        assert.deepStrictEqual(circleRectanglePush({x: 8, y: 5, radius: 5}, rect), {x: 7, y: 0});
+    });
+
+    it('separates overlapping circles along the line between them', () => {
+        assert.deepStrictEqual(circleCirclePush({x: 0, y: 8, radius: 5}, {x: 0, y: 0, radius: 5}), {x: 0, y: 2});
+        assert.strictEqual(circleCirclePush({x: 0, y: 11, radius: 5}, {x: 0, y: 0, radius: 5}), null);
+    });
+
+    it('pushes a circle off a slanted polygon edge', () => {
+        const circle = {x: 6, y: 6, radius: 5};
+        const push = circlePolygonPush(circle, diamond);
+
+        // Nearest edge is the line x + y = 10, facing (1, 1)
+        assert.ok(Math.abs(push.x - push.y) < 1e-9);
+        const distance = (circle.x + push.x + circle.y + push.y - 10) / Math.SQRT2;
+        assert.ok(Math.abs(distance - 5) < 1e-9);
+    });
+
+    it('pushes a circle centered inside a polygon all the way out', () => {
+        const circle = {x: 1, y: 0, radius: 2};
+        const push = circlePolygonPush(circle, diamond);
+
+        assert.strictEqual(circlePolygonPush({x: circle.x + push.x, y: circle.y + push.y, radius: 1.999}, diamond), null);
+    });
+});
+
+describe('polygon checks', () => {
+    // An L shape, heavier along its bottom
+    const ell = [{x: 0, y: 0}, {x: 10, y: 0}, {x: 10, y: 20}, {x: 30, y: 20}, {x: 30, y: 30}, {x: 0, y: 30}];
+
+    it('signs the area by winding', () => {
+        assert.strictEqual(polygonSignedArea(square), 100);
+        assert.strictEqual(polygonSignedArea(square.slice().reverse()), -100);
+        assert.strictEqual(polygonSignedArea(ell), 500);
+    });
+
+    it('finds the centroid of a concave polygon', () => {
+        // 10x30 upright plus a 20x10 foot
+        assert.deepStrictEqual(polygonCentroid(ell), {x: (300 * 5 + 200 * 20) / 500, y: (300 * 15 + 200 * 25) / 500});
+    });
+
+    it('tells simple outlines from ones whose edges cross', () => {
+        assert.strictEqual(isSimplePolygon(square), true);
+        assert.strictEqual(isSimplePolygon(ell), true);
+        assert.strictEqual(isSimplePolygon([{x: 0, y: 0}, {x: 10, y: 10}, {x: 10, y: 0}, {x: 0, y: 10}]), false);
+    });
+});
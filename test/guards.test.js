@@ -0,0 +1,173 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { Guard, GUARD_STATE } = require('../guards.js');
+const { Path } = require('../paths.js');
+const { World } = require('../world.js');
+const { RectangleObstacle } = require('../entities.js');
+const { loadPredefinedLevel } = require('../levelLayouts.js');
+const { Renderer } = require('../renderer.js');
+const { createFakeContext } = require('./helpers.js');
+
+/**
+ * Builds an unlit world with one guard walking a straight route
+ * The player starts at the spawn point in the bottom left corner
+ * @param {Array} points - Route waypoints {x, y}
+ * @returns {Object} The world and its guard
+ */
+function createPatrol(points) {
+    const world = new World(800, 600);
+    const guard = world.addGuard(new Guard(new Path({points, mode: 'pingpong', speed: 0.1})));
+    world.startLevel(1, 1.0);
+    return {world, guard};
+}
+
+/**
+ * Steps a world forward
+ * @param {World} world - World to step
+ * @param {number} time - Time to advance in milliseconds
+ */
+function run(world, time) {
+    for (let elapsed = 0; elapsed < time; elapsed += 16) {
+        world.update(16);
+    }
+}
+
+describe('Guard', () => {
+    it('walks its route while nobody is in view', () => {
+        const {world, guard} = createPatrol([{x: 400, y: 100}, {x: 700, y: 100}]);
+
+        run(world, 1600);
+
+        assert.strictEqual(guard.state, GUARD_STATE.PATROL);
+        assert.ok(Math.abs(guard.x - 560) < 1e-6);
+        assert.strictEqual(guard.y, 100);
+        assert.strictEqual(guard.facing, 0);
+    });
+
+    it('sees only inside its cone, within range and around obstacles', () => {
+        const guard = new Guard(new Path({points: [{x: 100, y: 100}, {x: 200, y: 100}]}));
+        const wall = new RectangleObstacle(200, 50, 20, 100);
+
+        assert.strictEqual(guard.canSee({x: 180, y: 110}, []), true);
+        assert.strictEqual(guard.canSee({x: 50, y: 100}, []), false);
+        assert.strictEqual(guard.canSee({x: 100, y: 200}, []), false);
+        assert.strictEqual(guard.canSee({x: 290, y: 100}, []), true);
+        assert.strictEqual(guard.canSee({x: 290, y: 100}, [wall]), false);
+        assert.strictEqual(guard.canSee({x: 350, y: 100}, []), false);
+    });
+
+    it('grows suspicious at a glimpse and raises the alarm if the player stays in view', () => {
+        const {world, guard} = createPatrol([{x: 250, y: 550}, {x: 700, y: 550}]);
+        guard.facing = Math.PI;
+
+        world.update(16);
+        assert.strictEqual(guard.state, GUARD_STATE.SUSPICIOUS);
+        assert.strictEqual(world.playerSpotted, true);
+
+        run(world, 2000);
+        assert.strictEqual(guard.state, GUARD_STATE.ALERT);
+        assert.ok(guard.x < 250, 'the alerted guard closes in');
+    });
+
+    it('fills the danger meter faster than a light, and faster still when alert', () => {
+        const {world, guard} = createPatrol([{x: 250, y: 550}, {x: 700, y: 550}]);
+        guard.facing = Math.PI;
+
+        world.update(16);
+        const suspicious = world.player.exposureTime;
+        assert.ok(suspicious > 16 * 0.05, `${suspicious}`);
+
+        guard.state = GUARD_STATE.ALERT;
+        world.player.exposureTime = 0;
+        world.update(16);
+        assert.ok(world.player.exposureTime > suspicious);
+    });
+
+    it('calms down after a glimpse that is not repeated', () => {
+        const {world, guard} = createPatrol([{x: 250, y: 550}, {x: 700, y: 550}]);
+        guard.facing = Math.PI;
+        world.update(16);
+        assert.strictEqual(guard.state, GUARD_STATE.SUSPICIOUS);
+
+        world.player.reset(50, 50);
+        run(world, 1000);
+
+        assert.strictEqual(guard.state, GUARD_STATE.PATROL);
+    });
+
+    it('searches where the player was last seen, then returns to its route', () => {
+        const {world, guard} = createPatrol([{x: 250, y: 550}, {x: 700, y: 550}]);
+        guard.state = GUARD_STATE.ALERT;
+        guard.awareness = 1;
+        guard.lastSeen = {x: 150, y: 500};
+
+        world.player.reset(50, 50);
+        world.update(16);
+        assert.strictEqual(guard.state, GUARD_STATE.SEARCH);
+
+        run(world, 1500);
+        assert.ok(Math.hypot(guard.x - 150, guard.y - 500) < 3);
+
+        run(world, 5000);
+        assert.strictEqual(guard.state, GUARD_STATE.PATROL);
+        assert.ok(guard.x > 150, 'the guard heads back to its route');
+    });
+
+    it('gets back onto its route when a wall stands in the way', () => {
+        const {world, guard} = createPatrol([{x: 400, y: 100}, {x: 700, y: 100}]);
+        world.addObstacle(new RectangleObstacle(300, 250, 200, 20));
+        guard.x = 400;
+        guard.y = 400;
+
+        run(world, 2000);
+        assert.ok(guard.y > 250, 'the wall holds the guard back');
+
+        run(world, 6000);
+        assert.strictEqual(guard.state, GUARD_STATE.PATROL);
+        assert.strictEqual(guard.y, 100);
+        assert.ok(guard.patrolTime > 0);
+    });
+
+    it('plays out the same from the same start', () => {
+        const positions = () => {
+            const world = new World(800, 600);
+            loadPredefinedLevel(world, 5);
+            world.startLevel(5, 1.0);
+            world.player.setMoveDirection(1, -0.3);
+            run(world, 4000);
+            return world.guards.map(guard => [guard.x, guard.y, guard.state]);
+        };
+
+        assert.deepStrictEqual(positions(), positions());
+    });
+});
+
+describe('guards in levels', () => {
+    it('are built from the level data and reset with the level', () => {
+        const world = new World(800, 600);
+        loadPredefinedLevel(world, 5);
+        world.startLevel(5, 1.0);
+        const guard = world.guards[0];
+        const start = {x: guard.x, y: guard.y};
+
+        guard.state = GUARD_STATE.ALERT;
+        guard.x += 100;
+        world.startLevel(5, 1.0);
+
+        assert.strictEqual(world.guards.length, 1);
+        assert.strictEqual(guard.state, GUARD_STATE.PATROL);
+        assert.deepStrictEqual({x: guard.x, y: guard.y}, start);
+    });
+
+    it('are drawn with a mark over the head when alarmed', () => {
+        const {world, guard} = createPatrol([{x: 250, y: 550}, {x: 700, y: 550}]);
+        guard.facing = Math.PI;
+        world.update(16);
+        const ctx = createFakeContext();
+
+        new Renderer(ctx).drawWorld(world);
+
+        assert.ok(ctx.calls.some(call => call.name === 'fillText' && call.args[0] === '?'));
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Test helpers
+ *
+ * Stand-ins for the browser objects the game expects, so game code can be
+ * exercised in Node.
+ */
+
+/**
+ * Creates a fake 2D canvas context
+ * Every method is a no-op that records its name and arguments in `calls`;
+ * properties can be set and read back like on a real context, and each
+ * assignment is recorded in `calls` as {set, value}. Gradients record
+ * their colour stops in `stops`
+ * @returns {Object} Fake context
+ */
+function createFakeContext() {
+    const calls = [];
+    const state = { calls };
+
+    return new Proxy(state, {
+        get(target, key) {
+            if (key in target) return target[key];
+            if (typeof key === 'symbol') return undefined;
+
+            return (...args) => {
+                calls.push({ name: key, args });
+
+                // Gradients are objects in their own right
+                if (key === 'createRadialGradient' || key === 'createLinearGradient') {
+                    const stops = [];
+                    return { stops, addColorStop: (offset, color) => stops.push({ offset, color }) };
+                }
+                return undefined;
+            };
+        },
+        set(target, key, value) {
+            calls.push({ set: key, value });
+            target[key] = value;
+            return true;
+        }
+    });
+}
+
+/**
+ * Creates a fake canvas element
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object} Fake canvas with a fake 2D context
+ */
+function createFakeCanvas(width = 800, height = 600) {
+    const ctx = createFakeContext();
+    return {
+        width,
+        height,
+        getContext: () => ctx
+    };
+}
+
+/**
+ * Creates an in-memory replacement for localStorage
+ * @param {Object} initial - Initial key/value pairs
+ * @returns {Object} Fake storage
+ */
+function createFakeStorage(initial = {}) {
+    const items = new Map(Object.entries(initial).map(([key, value]) => [key, String(value)]));
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+module.exports = { createFakeContext, createFakeCanvas, createFakeStorage };
@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { InputController } = require('../input.js');
+
+/**
+ * Creates a gamepad with its left stick at a position
+ * @param {number} x - Stick X, -1 to 1
+ * @param {number} y - Stick Y, -1 to 1
+ * @returns {Object} Fake gamepad
+ */
+function createGamepad(x, y) {
+    return { connected: true, axes: [x, y, 0, 0] };
+}
+
+describe('InputController', () => {
+    describe('keyboard', () => {
+        it('moves with WASD and the arrow keys', () => {
+            const input = new InputController({ getGamepads: () => [] });
+
+            input.handleKeyDown('w');
+            assert.deepStrictEqual(input.getMovement(), {x: 0, y: -1});
+
+            input.handleKeyDown('ArrowRight');
+            const diagonal = input.getMovement();
+            assert.ok(Math.abs(diagonal.x - Math.SQRT1_2) < 1e-9);
+            assert.ok(Math.abs(diagonal.y + Math.SQRT1_2) < 1e-9);
+
+            input.handleKeyUp('w');
+            input.handleKeyUp('ArrowRight');
+            assert.strictEqual(input.getMovement(), null);
+        });
+
+        it('keeps moving while another key holds the same direction', () => {
+            const input = new InputController({ getGamepads: () => [] });
+
+            input.handleKeyDown('a');
+            input.handleKeyDown('ArrowLeft');
+            input.handleKeyUp('a');
+
+            assert.deepStrictEqual(input.getMovement(), {x: -1, y: 0});
+        });
+
+        it('fires hotkey actions once per press', () => {
+            const input = new InputController({ getGamepads: () => [] });
+            const actions = [];
+            input.onAction = action => actions.push(action);
+
+            input.handleKeyDown('q');
+            input.handleKeyDown('q', true);
+            input.handleKeyDown('M');
+
+            assert.deepStrictEqual(actions, ['toggleShadowQuality', 'toggleSound']);
+        });
+
+        it('does not treat movement keys as hotkeys', () => {
+            const input = new InputController({ getGamepads: () => [] });
+            const actions = [];
+            input.onAction = action => actions.push(action);
+
+            input.handleKeyDown('s');
+
+            assert.deepStrictEqual(actions, []);
+            assert.deepStrictEqual(input.getMovement(), {x: 0, y: 1});
+        });
+
+        it('reports unbound keys', () => {
+            const input = new InputController({ getGamepads: () => [] });
+            assert.strictEqual(input.handleKeyDown('z'), false);
+            assert.strictEqual(input.handleKeyDown('d'), true);
+        });
+    });
+
+    describe('bindings', () => {
+        it('can be remapped', () => {
+            const input = new InputController({ bindings: { toggleSound: ['n'] }, getGamepads: () => [] });
+            const actions = [];
+            input.onAction = action => actions.push(action);
+
+            input.handleKeyDown('m');
+            input.handleKeyDown('n');
+
+            assert.deepStrictEqual(actions, ['toggleSound']);
+        });
+
+        it('releases a key from its old action when it is rebound', () => {
+            const input = new InputController({ getGamepads: () => [] });
+            const actions = [];
+            input.onAction = action => actions.push(action);
+
+            input.bind('toggleLightingDebug', ['w']);
+            input.handleKeyDown('w');
+
+            assert.deepStrictEqual(actions, ['toggleLightingDebug']);
+            assert.deepStrictEqual(input.bindings.up, ['arrowup']);
+            assert.strictEqual(input.getMovement(), null);
+        });
+    });
+
+    describe('pointer', () => {
+        it('hands out each pointer position once', () => {
+            const input = new InputController({ getGamepads: () => [] });
+
+            input.handleMouseMove(120, 80);
+
+            assert.deepStrictEqual(input.takePointerTarget(), {x: 120, y: 80});
+            assert.strictEqual(input.takePointerTarget(), null);
+        });
+    });
+
+    describe('gamepad', () => {
+        it('reads the left stick with a deadzone', () => {
+            let stick = createGamepad(0.1, -0.1);
+            const input = new InputController({ getGamepads: () => [null, stick] });
+
+            assert.strictEqual(input.getMovement(), null);
+
+            stick = createGamepad(1, 0);
+            assert.deepStrictEqual(input.getMovement(), {x: 1, y: 0});
+
+            stick = createGamepad(0, 0.6);
+            assert.ok(Math.abs(input.getMovement().y - 0.5) < 1e-9);
+        });
+
+        it('gives way to held keys', () => {
+            const input = new InputController({ getGamepads: () => [createGamepad(1, 0)] });
+
+            input.handleKeyDown('a');
+
+            assert.deepStrictEqual(input.getMovement(), {x: -1, y: 0});
+        });
+    });
+
+    describe('touch joystick', () => {
+        it('steers by how far the finger drags from where it touched down', () => {
+            const input = new InputController({ getGamepads: () => [] });
+
+            input.handleTouchStart(1, 400, 300);
+            assert.deepStrictEqual(input.getMovement(), {x: 0, y: 0});
+
+            input.handleTouchMove(1, 430, 300);
+            assert.deepStrictEqual(input.getMovement(), {x: 0.5, y: 0});
+
+            input.handleTouchMove(1, 400, 0);
+            assert.deepStrictEqual(input.getMovement(), {x: 0, y: -1});
+            assert.deepStrictEqual(input.getJoystick(), {originX: 400, originY: 300, x: 400, y: 240, radius: 60});
+        });
+
+        it('ignores other fingers and stops when lifted', () => {
+            const input = new InputController({ getGamepads: () => [] });
+
+            input.handleTouchStart(1, 400, 300);
+            input.handleTouchStart(2, 100, 100);
+            input.handleTouchMove(2, 200, 100);
+            assert.deepStrictEqual(input.getMovement(), {x: 0, y: 0});
+
+            input.handleTouchEnd(1);
+            assert.strictEqual(input.getMovement(), null);
+            assert.strictEqual(input.getJoystick(), null);
+        });
+    });
+});
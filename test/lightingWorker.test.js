@@ -0,0 +1,257 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    LightingPipeline,
+    createLightingSnapshot,
+    computeLighting,
+    renderLighting,
+    listenForLighting
+} = require('../lightingWorker.js');
+const { World } = require('../world.js');
+const { LightSource, Spotlight, RectangleObstacle, CircleObstacle } = require('../entities.js');
+const { Renderer } = require('../renderer.js');
+const { createFakeCanvas, createFakeContext } = require('./helpers.js');
+
+/**
+ * Creates a world with a light, a spotlight and obstacles near and far
+ * @returns {World} World with up-to-date lit regions
+ */
+function createLitWorld() {
+    const world = new World(800, 600);
+    world.addLightSource(new LightSource(200, 300, 10, '#ff8800', 250, 0));
+    world.addLightSource(new Spotlight(600, 100, 300, Math.PI / 3, Math.PI / 2, 0));
+    world.addObstacle(new RectangleObstacle(280, 250, 30, 100));
+    world.addObstacle(new CircleObstacle(600, 250, 30));
+    world.addObstacle(new RectangleObstacle(700, 550, 20, 20));
+    world.ambientLight = 0.2;
+    world.updateLighting();
+    return world;
+}
+
+/**
+ * Creates a stand-in for a Web Worker that records what it is sent
+ * @returns {Object} Fake worker with `messages` and `terminated`
+ */
+function createFakeWorker() {
+    return {
+        messages: [],
+        terminated: false,
+        postMessage(message) {
+            this.messages.push(message);
+        },
+        terminate() {
+            this.terminated = true;
+        }
+    };
+}
+
+describe('lighting snapshots', () => {
+    it('hold plain data a worker can be sent', () => {
+        const world = createLitWorld();
+        const snapshot = createLightingSnapshot(world, 3);
+
+        assert.deepStrictEqual(structuredClone(snapshot), snapshot);
+        assert.strictEqual(snapshot.frame, 3);
+        assert.strictEqual(snapshot.lights.length, 2);
+        assert.strictEqual(snapshot.lights[1].range, world.lightSources[1].getRange());
+    });
+
+    it('leave out the edges of lights whose region the worker already has', () => {
+        const world = createLitWorld();
+        const sentKeys = world.lightSources.map(light => light.litRegionKey);
+        world.lightSources[1].x += 20;
+        world.updateLighting();
+
+        const snapshot = createLightingSnapshot(world, 2, sentKeys);
+
+        assert.strictEqual(snapshot.lights[0].segments, null);
+        assert.ok(snapshot.lights[1].segments.length > 0);
+    });
+
+    it('give the worker the same polygons as the world', () => {
+        const world = createLitWorld();
+        const regions = computeLighting(createLightingSnapshot(world, 1));
+        assert.deepStrictEqual(regions, world.lightSources.map(light => light.litRegion));
+
+        const sentKeys = world.lightSources.map(light => light.litRegionKey);
+        const kept = regions[0];
+        world.lightSources[1].x += 20;
+        world.updateLighting();
+        computeLighting(createLightingSnapshot(world, 2, sentKeys), regions);
+
+        assert.strictEqual(regions[0], kept);
+        assert.deepStrictEqual(regions[1], world.lightSources[1].litRegion);
+    });
+
+    it('render a light map like the main thread does', () => {
+        const world = createLitWorld();
+        const snapshot = createLightingSnapshot(world, 1);
+        const workerMap = createFakeCanvas(800, 600);
+        const mainMap = createFakeCanvas(800, 600);
+
+        renderLighting(snapshot, computeLighting(snapshot), workerMap);
+        new Renderer(null).renderLightMap(mainMap, world);
+
+        const names = canvas => canvas.getContext('2d').calls.map(call => call.name || call.set);
+        assert.deepStrictEqual(names(workerMap), names(mainMap));
+    });
+});
+
+describe('listenForLighting', () => {
+    it('replies with a light map bitmap', () => {
+        const replies = [];
+        const scope = {postMessage: (message, transfer) => replies.push({message, transfer})};
+        const bitmap = {};
+        const canvas = Object.assign(createFakeCanvas(800, 600), {transferToImageBitmap: () => bitmap});
+        listenForLighting(scope, () => canvas);
+
+        const world = createLitWorld();
+        scope.onmessage({data: createLightingSnapshot(world, 5)});
+
+        assert.strictEqual(replies.length, 1);
+        assert.strictEqual(replies[0].message.frame, 5);
+        assert.deepStrictEqual(replies[0].message.regions, world.lightSources.map(light => light.litRegion));
+        assert.strictEqual(replies[0].message.lightMap, bitmap);
+        assert.deepStrictEqual(replies[0].transfer, [bitmap]);
+    });
+
+    it('keeps the polygons of lights that have not changed', () => {
+        const scope = {postMessage: () => {}};
+        const canvas = Object.assign(createFakeCanvas(800, 600), {transferToImageBitmap: () => ({})});
+        listenForLighting(scope, () => canvas);
+        const world = createLitWorld();
+        const sent = [];
+        const worker = {postMessage: data => {
+            sent.push(data);
+            scope.onmessage({data});
+        }};
+        const pipeline = new LightingPipeline({createWorker: () => worker});
+        pipeline.start();
+        const calls = () => canvas.getContext('2d').calls.map(call => call.name || call.set);
+
+        pipeline.submit(world);
+        pipeline.receive({frame: 1, lightMap: {}});
+        const full = calls();
+        canvas.getContext('2d').calls.length = 0;
+        pipeline.submit(world);
+
+        assert.deepStrictEqual(sent[1].lights.map(light => light.segments), [null, null]);
+        assert.deepStrictEqual(calls(), full);
+    });
+
+    it('replies without a light map when it cannot render one', () => {
+        const replies = [];
+        const scope = {postMessage: message => replies.push(message)};
+        listenForLighting(scope, () => null);
+        const world = createLitWorld();
+
+        scope.onmessage({data: createLightingSnapshot(world, 1)});
+
+        assert.strictEqual(replies[0].lightMap, null);
+        assert.deepStrictEqual(replies[0].regions, world.lightSources.map(light => light.litRegion));
+    });
+});
+
+describe('LightingPipeline', () => {
+    it('does not start without a worker', () => {
+        const pipeline = new LightingPipeline({createWorker: () => null});
+        assert.strictEqual(pipeline.start(), false);
+        assert.strictEqual(pipeline.isRunning(), false);
+        assert.strictEqual(pipeline.submit(createLitWorld()), false);
+    });
+
+    it('sends one snapshot at a time and keeps the newest light map', () => {
+        const worker = createFakeWorker();
+        const pipeline = new LightingPipeline({createWorker: () => worker});
+        const world = createLitWorld();
+        pipeline.start();
+
+        assert.strictEqual(pipeline.submit(world), true);
+        assert.strictEqual(pipeline.submit(world), false, 'the worker is still busy');
+        assert.strictEqual(pipeline.getLatestLightMap(), null);
+
+        let closed = 0;
+        const first = {close: () => closed++};
+        worker.onmessage({data: {frame: 1, lightMap: first}});
+        assert.strictEqual(pipeline.getLatestLightMap(), first);
+        assert.strictEqual(pipeline.submit(world), true);
+        worker.onmessage({data: {frame: 2, lightMap: {}}});
+
+        assert.strictEqual(closed, 1);
+        assert.deepStrictEqual(worker.messages.map(message => message.frame), [1, 2]);
+    });
+
+    it('stops when the worker fails', () => {
+        const failing = createFakeWorker();
+        const pipeline = new LightingPipeline({createWorker: () => failing});
+        pipeline.start();
+
+        failing.onerror(new Error('worker script failed to load'));
+
+        assert.strictEqual(pipeline.isRunning(), false);
+        assert.strictEqual(failing.terminated, true);
+    });
+
+    it('keeps the polygons of a worker that cannot render light maps', () => {
+        const worker = createFakeWorker();
+        const pipeline = new LightingPipeline({createWorker: () => worker});
+        const world = createLitWorld();
+        const regions = world.lightSources.map(() => [{x: 0, y: 0}, {x: 10, y: 0}, {x: 0, y: 10}]);
+        pipeline.start();
+        assert.strictEqual(pipeline.getLatestLighting(), null);
+
+        pipeline.submit(world);
+        worker.onmessage({data: {frame: 1, regions, lightMap: null}});
+
+        const lighting = pipeline.getLatestLighting();
+        assert.strictEqual(pipeline.isRunning(), true);
+        assert.strictEqual(lighting.ambientLight, world.ambientLight);
+        assert.deepStrictEqual(lighting.lightSources.map(light => light.litRegion), regions);
+        assert.deepStrictEqual(lighting.lightSources.map(light => light.getRange()), world.lightSources.map(light => light.getRange()));
+    });
+});
+
+describe('Renderer with a lighting pipeline', () => {
+    it('lights the scene itself until the worker has rendered a light map', () => {
+        const worker = createFakeWorker();
+        const pipeline = new LightingPipeline({createWorker: () => worker});
+        pipeline.start();
+        const ctx = createFakeContext();
+        const renderer = new Renderer(ctx, {createCanvas: createFakeCanvas, lighting: pipeline});
+        const world = createLitWorld();
+
+        renderer.drawWorld(world);
+        const localMap = renderer.lightMap;
+        assert.strictEqual(worker.messages.length, 1);
+        assert.strictEqual(ctx.calls.find(call => call.name === 'drawImage').args[0], localMap);
+
+        const workerMap = {width: 800, height: 600};
+        worker.onmessage({data: {frame: 1, lightMap: workerMap}});
+        const renderedBefore = localMap.getContext('2d').calls.length;
+        ctx.calls.length = 0;
+        renderer.drawWorld(world);
+
+        assert.strictEqual(ctx.calls.find(call => call.name === 'drawImage').args[0], workerMap);
+        assert.strictEqual(localMap.getContext('2d').calls.length, renderedBefore, 'no light map is rendered here');
+        assert.strictEqual(worker.messages.length, 2);
+    });
+
+    it('renders the worker\'s polygons itself when the worker has no light map', () => {
+        const worker = createFakeWorker();
+        const pipeline = new LightingPipeline({createWorker: () => worker});
+        pipeline.start();
+        const renderer = new Renderer(createFakeContext(), {createCanvas: createFakeCanvas, lighting: pipeline});
+        const world = createLitWorld();
+        const triangle = [{x: 10, y: 20}, {x: 90, y: 20}, {x: 10, y: 80}];
+
+        renderer.drawWorld(world);
+        worker.onmessage({data: {frame: 1, regions: [triangle, triangle], lightMap: null}});
+        const lightCtx = renderer.lightMap.getContext('2d');
+        lightCtx.calls.length = 0;
+        renderer.drawWorld(world);
+
+        const moves = lightCtx.calls.filter(call => call.name === 'moveTo').map(call => call.args);
+        assert.deepStrictEqual(moves, [[10, 20], [10, 20]]);
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { World } = require('../world.js');
+const { createObjective, ExitObjective, ShardObjective, HoldObjective } = require('../objectives.js');
+
+/**
+ * Creates an empty world with an objective, with the player at a point
+ * @param {Objective} objective - Objective to play for
+ * @param {number} x - Player X
+ * @param {number} y - Player Y
+ * @returns {World} World ready to update
+ */
+function createWorld(objective, x, y) {
+    const world = new World(800, 600);
+    world.setObjective(objective);
+    world.startLevel(1, 1.0);
+    world.player.reset(x, y);
+    return world;
+}
+
+describe('createObjective', () => {
+    it('builds each objective type from level data', () => {
+        assert.strictEqual(createObjective().type, 'survive');
+        assert.ok(createObjective({type: 'exit', x: 0, y: 0, width: 10, height: 10}) instanceof ExitObjective);
+        assert.ok(createObjective({type: 'shards', shards: [{x: 1, y: 1}]}) instanceof ShardObjective);
+        assert.ok(createObjective({type: 'hold', x: 0, y: 0, radius: 10, time: 100}) instanceof HoldObjective);
+    });
+
+    it('rejects unknown types', () => {
+        assert.throws(() => createObjective({type: 'escort'}), /Unknown objective type: escort/);
+    });
+});
+
+describe('SurviveObjective', () => {
+    it('completes when the level time runs out', () => {
+        const world = createWorld(createObjective(), 100, 100);
+        world.levelDuration = 1000;
+
+        world.update(500);
+        assert.strictEqual(world.objective.getStatus(world), 'Time: 1s');
+        assert.strictEqual(world.objective.getProgress(world), 0.5);
+
+        world.update(500);
+        assert.strictEqual(world.isLevelComplete(), true);
+    });
+});
+
+describe('ExitObjective', () => {
+    it('completes once the player reaches the zone', () => {
+        const world = createWorld(new ExitObjective(700, 20, 60, 60), 650, 50);
+
+        world.update(16);
+        assert.strictEqual(world.isLevelComplete(), false);
+
+        world.player.reset(730, 50);
+        world.update(16);
+        assert.strictEqual(world.isLevelComplete(), true);
+    });
+});
+
+describe('ShardObjective', () => {
+    it('collects shards the player touches until enough are held', () => {
+        const shards = [{x: 100, y: 100}, {x: 300, y: 100}, {x: 500, y: 100}];
+        const world = createWorld(new ShardObjective(shards, 2), 100, 110);
+
+        world.update(16);
+        assert.strictEqual(world.objective.getStatus(world), 'Shards: 1/2');
+        assert.strictEqual(world.isLevelComplete(), false);
+
+        world.player.reset(300, 100);
+        world.update(16);
+        assert.strictEqual(world.isLevelComplete(), true);
+        assert.deepStrictEqual(world.objective.shards.map(shard => shard.collected), [true, true, false]);
+    });
+
+    it('puts the shards back when the level restarts', () => {
+        const world = createWorld(new ShardObjective([{x: 100, y: 100}]), 100, 100);
+        world.update(16);
+
+        world.startLevel(1, 1.0);
+
+        assert.strictEqual(world.objective.getCollectedCount(), 0);
+    });
+});
+
+describe('HoldObjective', () => {
+    it('counts only the time spent inside the zone', () => {
+        const world = createWorld(new HoldObjective(400, 300, 50, 1000), 400, 300);
+
+        world.update(600);
+        assert.strictEqual(world.objective.getStatus(world), 'Hold: 1s');
+
+        world.player.reset(100, 100);
+        world.update(600);
+        assert.strictEqual(world.objective.getProgress(world), 0.6);
+        assert.strictEqual(world.objective.getStatus(world), 'Hold the zone: 1s');
+
+        world.player.reset(410, 310);
+        world.update(400);
+        assert.strictEqual(world.isLevelComplete(), true);
+    });
+});
@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { Path } = require('../paths.js');
+const { World } = require('../world.js');
+const { LightSource } = require('../entities.js');
+const { Renderer } = require('../renderer.js');
+const { createFakeContext } = require('./helpers.js');
+
+/**
+ * Checks that two points are within a small distance of each other
+ * @param {Object} actual - Point {x, y}
+ * @param {Object} expected - Point {x, y}
+ */
+function assertNear(actual, expected) {
+    assert.ok(
+        Math.hypot(actual.x - expected.x, actual.y - expected.y) < 1e-6,
+        `expected (${expected.x}, ${expected.y}), got (${actual.x}, ${actual.y})`
+    );
+}
+
+// An L-shaped route, 100 pixels each way
+const CORNER = [{x: 0, y: 0}, {x: 100, y: 0}, {x: 100, y: 100}];
+
+describe('Path', () => {
+    it('moves along straight segments at its speed', () => {
+        const path = new Path({points: CORNER, mode: 'once', speed: 0.1});
+
+        assert.strictEqual(path.duration, 2000);
+        assertNear(path.getPosition(500), {x: 50, y: 0});
+        assertNear(path.getPosition(1500), {x: 100, y: 50});
+        assertNear(path.getPosition(5000), {x: 100, y: 100});
+    });
+
+    it('uses the speed, easing and pause of each waypoint', () => {
+        const path = new Path({
+            points: [
+                {x: 0, y: 0, speed: 0.2, easing: 'easeIn'},
+                {x: 100, y: 0, pause: 300},
+                {x: 100, y: 100}
+            ],
+            mode: 'once',
+            speed: 0.1
+        });
+
+        assert.strictEqual(path.duration, 500 + 300 + 1000);
+        assertNear(path.getPosition(250), {x: 25, y: 0});
+        assertNear(path.getPosition(700), {x: 100, y: 0});
+        assertNear(path.getPosition(1300), {x: 100, y: 50});
+    });
+
+    it('loops back to the start', () => {
+        const path = new Path({points: CORNER, mode: 'loop', speed: 0.1});
+        const diagonal = Math.hypot(100, 100) / 0.1;
+
+        assert.strictEqual(path.duration, 2000 + diagonal);
+        assertNear(path.getPosition(2000 + diagonal / 2), {x: 50, y: 50});
+        assertNear(path.getPosition(path.duration + 500), {x: 50, y: 0});
+    });
+
+    it('ping-pongs back along its route', () => {
+        const path = new Path({points: CORNER, mode: 'pingpong', speed: 0.1});
+
+        assert.strictEqual(path.duration, 4000);
+        assertNear(path.getPosition(2500), {x: 100, y: 50});
+        assertNear(path.getPosition(3500), {x: 50, y: 0});
+        assertNear(path.getPosition(4000), {x: 0, y: 0});
+    });
+
+    it('starts part way through its cycle with a phase', () => {
+        const path = new Path({points: CORNER, mode: 'pingpong', speed: 0.1, phase: 0.25});
+        assertNear(path.getPosition(0), {x: 100, y: 0});
+    });
+
+    it('curves smoothly through every waypoint', () => {
+        const path = new Path({points: CORNER, mode: 'once', curve: 'bezier', speed: 0.1});
+        const corner = path.legs[0].travelTime;
+
+        assertNear(path.getPosition(corner), {x: 100, y: 0});
+        assertNear(path.getPosition(path.duration), {x: 100, y: 100});
+
+        // Longer than the straight route, and off it between waypoints
+        assert.ok(path.duration > 2000);
+        const halfway = path.getPosition(corner / 2);
+        assert.ok(halfway.y < 0);
+    });
+
+    it('rejects paths it cannot follow', () => {
+        assert.throws(() => new Path({points: [{x: 0, y: 0}]}), /at least two points/);
+        assert.throws(() => new Path({points: CORNER, easing: 'bounce'}), /Unknown path easing: bounce/);
+    });
+});
+
+describe('LightSource on a path', () => {
+    it('follows the path by level time', () => {
+        const world = new World(800, 600);
+        const light = new LightSource(0, 0, 10, '#ffff00', 300, 0.001);
+        light.setPath(new Path({points: [{x: 100, y: 100}, {x: 300, y: 100}], mode: 'pingpong', speed: 0.1}));
+        world.addLightSource(light);
+
+        assert.deepStrictEqual({x: light.x, y: light.y}, {x: 100, y: 100});
+
+        world.update(1000);
+        assertNear(light, {x: 200, y: 100});
+
+        world.update(2000);
+        assertNear(light, {x: 200, y: 100});
+    });
+
+    it('shows its route in the lighting debug view', () => {
+        const ctx = createFakeContext();
+        const world = new World(800, 600);
+        const light = new LightSource(0, 0);
+        light.setPath(new Path({points: CORNER}));
+        world.addLightSource(light);
+        world.updateLighting();
+
+        new Renderer(ctx).drawLightingDebug(world);
+
+        const route = ctx.calls.filter(call => call.name === 'lineTo').map(call => call.args);
+        assert.deepStrictEqual(route.slice(-3), [[100, 0], [100, 100], [0, 0]]);
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { Random, seedFromString, deriveSeed } = require('../random.js');
+
+/**
+ * Draws numbers from a generator
+ * @param {Random} random - Generator
+ * @param {number} count - How many numbers
+ * @returns {Array} Numbers drawn
+ */
+function draw(random, count = 20) {
+    return Array.from({ length: count }, () => random.next());
+}
+
+describe('Random', () => {
+    it('repeats the same sequence for the same seed', () => {
+        assert.deepStrictEqual(draw(new Random(42)), draw(new Random(42)));
+    });
+
+    it('gives different sequences for different seeds', () => {
+        assert.notDeepStrictEqual(draw(new Random(42)), draw(new Random(43)));
+    });
+
+    it('stays within [0, 1)', () => {
+        draw(new Random(7), 1000).forEach(value => {
+            assert.ok(value >= 0 && value < 1);
+        });
+    });
+
+    it('draws ranges, integers and picks', () => {
+        const random = new Random(3);
+
+        for (let i = 0; i < 200; i++) {
+            const value = random.range(-2, 5);
+            assert.ok(value >= -2 && value < 5);
+
+            const whole = random.int(4);
+            assert.ok(Number.isInteger(whole) && whole >= 0 && whole < 4);
+
+            assert.ok(['a', 'b', 'c'].includes(random.pick(['a', 'b', 'c'])));
+        }
+    });
+});
+
+describe('seedFromString', () => {
+    it('hashes text to a stable 32-bit seed', () => {
+        const seed = seedFromString('2026-10-19');
+
+        assert.strictEqual(seed, seedFromString('2026-10-19'));
+        assert.notStrictEqual(seed, seedFromString('2026-10-20'));
+        assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32);
+    });
+});
+
+describe('deriveSeed', () => {
+    it('gives each number its own seed', () => {
+        const seeds = [1, 2, 3, 4, 5].map(level => deriveSeed(1234, level));
+
+        assert.strictEqual(new Set(seeds).size, 5);
+        assert.strictEqual(deriveSeed(1234, 3), seeds[2]);
+    });
+});
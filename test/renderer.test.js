@@ -0,0 +1,258 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { World } = require('../world.js');
+const { LightSource, RectangleObstacle, DoorObstacle } = require('../entities.js');
+const { ShardObjective } = require('../objectives.js');
+const { Renderer, parseColor } = require('../renderer.js');
+const { createFakeCanvas, createFakeContext } = require('./helpers.js');
+
+/**
+ * Creates a world lit by an orange and a blue light
+ * @returns {World} World with up-to-date lit regions
+ */
+function createTwoLightWorld() {
+    const world = new World(800, 600);
+    world.addLightSource(new LightSource(200, 300, 10, '#ff8800', 300, 0));
+    world.addLightSource(new LightSource(600, 300, 10, '#0000ff', 300, 0));
+    world.ambientLight = 0.2;
+    world.updateLighting();
+    return world;
+}
+
+/**
+ * Finds the composite operation in effect for every call of a given method
+ * @param {Object} ctx - Fake context
+ * @param {string} name - Method name
+ * @returns {Array} Composite operation at the time of each call
+ */
+function compositeDuring(ctx, name) {
+    let operation = 'source-over';
+    const operations = [];
+
+    ctx.calls.forEach(call => {
+        if (call.set === 'globalCompositeOperation') operation = call.value;
+        if (call.name === name) operations.push(operation);
+    });
+
+    return operations;
+}
+
+describe('parseColor', () => {
+    it('reads short and long hex colours', () => {
+        assert.deepStrictEqual(parseColor('#f80'), {r: 255, g: 136, b: 0});
+        assert.deepStrictEqual(parseColor('#66CCFF'), {r: 102, g: 204, b: 255});
+    });
+
+    it('reads rgb() colours', () => {
+        assert.deepStrictEqual(parseColor('rgb(10, 20, 30)'), {r: 10, g: 20, b: 30});
+    });
+
+    it('falls back to white', () => {
+        assert.deepStrictEqual(parseColor('gold'), {r: 255, g: 255, b: 255});
+    });
+});
+
+describe('Renderer light map', () => {
+    it('adds every light onto the ambient level offscreen', () => {
+        const lightMap = createFakeCanvas(800, 600);
+        const renderer = new Renderer(createFakeContext(), { createCanvas: () => lightMap });
+
+        renderer.drawWorld(createTwoLightWorld());
+
+        const lightCtx = lightMap.getContext('2d');
+        assert.deepStrictEqual(lightCtx.calls.find(call => call.set === 'fillStyle'), {set: 'fillStyle', value: 'rgb(51, 51, 51)'});
+        assert.deepStrictEqual(compositeDuring(lightCtx, 'fillRect'), ['source-over']);
+        assert.deepStrictEqual(compositeDuring(lightCtx, 'fill'), ['lighter', 'lighter']);
+    });
+
+    it('multiplies the light map over the floor', () => {
+        const lightMap = createFakeCanvas(800, 600);
+        const ctx = createFakeContext();
+        const renderer = new Renderer(ctx, { createCanvas: () => lightMap });
+
+        renderer.drawWorld(createTwoLightWorld());
+
+        const drawImage = ctx.calls.find(call => call.name === 'drawImage');
+        assert.strictEqual(drawImage.args[0], lightMap);
+        assert.deepStrictEqual(compositeDuring(ctx, 'drawImage'), ['multiply']);
+        assert.strictEqual(ctx.calls.filter(call => call.name === 'createRadialGradient').length, 0);
+    });
+
+    it('colours each gradient with its light', () => {
+        const lightMap = createFakeCanvas(800, 600);
+        const renderer = new Renderer(createFakeContext(), { createCanvas: () => lightMap });
+
+        renderer.drawWorld(createTwoLightWorld());
+
+        const fills = lightMap.getContext('2d').calls
+            .filter(call => call.set === 'fillStyle' && typeof call.value === 'object');
+        assert.strictEqual(fills.length, 2);
+        assert.ok(fills[0].value.stops.every(stop => stop.color.startsWith('rgba(255, 136, 0,')));
+        assert.ok(fills[1].value.stops.every(stop => stop.color.startsWith('rgba(0, 0, 255,')));
+    });
+
+    it('creates the light map once and reuses it', () => {
+        let created = 0;
+        const renderer = new Renderer(createFakeContext(), {
+            createCanvas: (width, height) => {
+                created++;
+                return createFakeCanvas(width, height);
+            }
+        });
+        const world = createTwoLightWorld();
+
+        renderer.drawWorld(world);
+        renderer.drawWorld(world);
+
+        assert.strictEqual(created, 1);
+    });
+
+    it('adds lights straight onto the scene without offscreen canvases', () => {
+        const ctx = createFakeContext();
+        const renderer = new Renderer(ctx, { createCanvas: () => null });
+
+        renderer.drawWorld(createTwoLightWorld());
+
+        assert.strictEqual(ctx.calls.filter(call => call.name === 'drawImage').length, 0);
+        assert.deepStrictEqual(compositeDuring(ctx, 'createRadialGradient'), ['lighter', 'lighter']);
+    });
+});
+
+describe('Renderer objectives', () => {
+    it('draws only the shards still to collect', () => {
+        const ctx = createFakeContext();
+        const renderer = new Renderer(ctx);
+        const world = new World(800, 600);
+        world.setObjective(new ShardObjective([{x: 100, y: 100}, {x: 300, y: 100}]));
+        world.objective.shards[0].collected = true;
+
+        renderer.drawObjective(world);
+
+        const moves = ctx.calls.filter(call => call.name === 'moveTo');
+        assert.deepStrictEqual(moves.map(call => call.args), [[300, 92]]);
+    });
+
+    it('draws nothing for surviving', () => {
+        const ctx = createFakeContext();
+        new Renderer(ctx).drawObjective(new World(800, 600));
+        assert.deepStrictEqual(ctx.calls, []);
+    });
+});
+
+describe('Renderer obstacles', () => {
+    it('draws turned rectangles by their corners', () => {
+        const ctx = createFakeContext();
+        const box = new RectangleObstacle(100, 100, 40, 20);
+        box.setTransform({rotation: Math.PI / 2});
+
+        new Renderer(ctx).drawObstacle(box);
+
+        assert.ok(!ctx.calls.some(call => call.name === 'rect'));
+        assert.strictEqual(ctx.calls.filter(call => call.name === 'lineTo').length, 3);
+    });
+
+    it('draws rectangles turned a whole turn as they collide, as boxes', () => {
+        const ctx = createFakeContext();
+        const box = new RectangleObstacle(100, 100, 40, 20);
+        box.setTransform({rotation: Math.PI * 2});
+
+        new Renderer(ctx).drawObstacle(box);
+
+        assert.strictEqual(ctx.calls.filter(call => call.name === 'rect').length, 1);
+    });
+
+    it('leaves out open doors and broken cover', () => {
+        const ctx = createFakeContext();
+        const renderer = new Renderer(ctx);
+        const door = new DoorObstacle(100, 100, 80, 10, 1000, 1000);
+        door.placeAtTime(1600);
+        const cover = new RectangleObstacle(300, 300, 40, 40);
+        cover.durability = 100;
+        cover.absorbLight(1, 100);
+
+        renderer.drawObstacle(door);
+        renderer.drawObstacle(cover);
+
+        assert.deepStrictEqual(ctx.calls, []);
+    });
+
+    it('cracks breakable cover as it wears down', () => {
+        const ctx = createFakeContext();
+        const cover = new RectangleObstacle(300, 300, 40, 40);
+        cover.durability = 1000;
+        cover.absorbLight(1, 500);
+
+        new Renderer(ctx).drawObstacle(cover);
+
+        const cracks = ctx.calls.filter(call => call.name === 'lineTo').map(call => call.args);
+        assert.strictEqual(cracks.length, 8);
+        assert.deepStrictEqual(cracks[0], [310, 310]);
+    });
+
+    it('pre-renders static obstacles once and redraws them only when they change', () => {
+        const canvases = [];
+        const ctx = createFakeContext();
+        const renderer = new Renderer(ctx, {
+            createCanvas: (width, height) => {
+                const canvas = createFakeCanvas(width, height);
+                canvases.push(canvas);
+                return canvas;
+            }
+        });
+        const world = createTwoLightWorld();
+        const wall = world.addObstacle(new RectangleObstacle(100, 100, 40, 40));
+        const spinner = world.addObstacle(new RectangleObstacle(400, 100, 40, 40));
+        spinner.setTransform({rotation: 0.5});
+        spinner.rotationSpeed = 0.001;
+
+        renderer.drawWorld(world);
+        const layer = renderer.obstacleLayer;
+        const layerRects = () => layer.getContext('2d').calls.filter(call => call.name === 'rect').length;
+        assert.strictEqual(canvases.length, 2);
+        assert.strictEqual(layerRects(), 1);
+        assert.ok(ctx.calls.some(call => call.name === 'drawImage' && call.args[0] === layer));
+        assert.strictEqual(ctx.calls.filter(call => call.name === 'stroke').length, 1, 'only the moving obstacle is drawn directly');
+        assert.strictEqual(ctx.calls.filter(call => call.name === 'lineTo').length, 3);
+
+        world.update(16);
+        ctx.calls.length = 0;
+        renderer.drawWorld(world);
+        assert.strictEqual(layerRects(), 1);
+        assert.strictEqual(ctx.calls.filter(call => call.name === 'lineTo').length, 3);
+
+        wall.setTransform({x: 200});
+        renderer.drawWorld(world);
+        assert.strictEqual(layerRects(), 2);
+        assert.strictEqual(canvases.length, 2);
+    });
+
+    it('bakes a steady glow into the layer and draws nothing else for static obstacles', () => {
+        /**
+         * Draws a second frame of a world, with or without a wall
+         * @param {boolean} withWall - Whether to add a static wall
+         * @returns {Object} The renderer and the main context's calls for the second frame
+         */
+        function drawSecondFrame(withWall) {
+            const ctx = createFakeContext();
+            const renderer = new Renderer(ctx, {createCanvas: createFakeCanvas});
+            const world = createTwoLightWorld();
+            if (withWall) {
+                world.addObstacle(new RectangleObstacle(100, 100, 40, 40)).pulseAmount = 0.1;
+            }
+            renderer.drawWorld(world);
+            ctx.calls.length = 0;
+            renderer.drawWorld(world);
+            return {renderer, calls: ctx.calls};
+        }
+        const fills = calls => calls.filter(call => call.name === 'fill').length;
+        const glows = calls => calls.filter(call => call.set === 'shadowBlur' && call.value > 0).map(call => call.value);
+
+        const bare = drawSecondFrame(false);
+        const walled = drawSecondFrame(true);
+
+        assert.deepStrictEqual(glows(walled.renderer.obstacleLayer.getContext('2d').calls), [5]);
+        assert.strictEqual(fills(walled.calls), fills(bare.calls));
+        assert.deepStrictEqual(glows(walled.calls), glows(bare.calls));
+    });
+});
@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { World } = require('../world.js');
+const { loadPredefinedLevel } = require('../levelLayouts.js');
+const {
+    ReplayRecorder,
+    ReplayPlayer,
+    applyCommand,
+    isNoOpCommand,
+    encodeRecording,
+    decodeRecording
+} = require('../replay.js');
+
+/**
+ * Builds the world a recording starts in
+ * @param {Object} recording - Recording
+ * @returns {World} World at the start of the recorded level
+ */
+function createWorld(recording) {
+    const world = new World(800, 600);
+    world.setOptimizedShadows(recording.optimizedShadows);
+    world.setSeed(recording.seed);
+    loadPredefinedLevel(world, recording.level);
+    world.startLevel(recording.level, recording.difficulty);
+    world.score = recording.score;
+    return world;
+}
+
+/**
+ * Plays level 3 with scripted steering, recording it
+ * @returns {Object} The finished recording and the world it was played in
+ */
+function recordRun() {
+    const start = {mode: 'campaign', seed: 77, level: 3, difficulty: 1.4, score: 250, optimizedShadows: true};
+    const world = createWorld(start);
+    const recorder = new ReplayRecorder(start);
+    const script = {
+        0: ['move', 1, 0],
+        40: ['move', 0.6, -0.8],
+        90: ['target', 400, 500],
+        150: ['move', 0, 0]
+    };
+
+    for (let step = 0; step < 200; step++) {
+        const command = script[step];
+        if (command && !isNoOpCommand(world.player, command)) {
+            applyCommand(world, command);
+            recorder.recordCommand(command);
+        }
+        world.update(16);
+        recorder.recordStep(16, world.player);
+    }
+
+    return {recording: recorder.finish('quit', world), world};
+}
+
+describe('ReplayRecorder', () => {
+    it('stores equal steps as runs', () => {
+        const recorder = new ReplayRecorder({mode: 'campaign', seed: 1, level: 1, difficulty: 1, score: 0});
+        const player = {x: 0, y: 0};
+
+        [16, 16, 16, 100, 16].forEach(step => recorder.recordStep(step, player));
+
+        assert.deepStrictEqual(recorder.recording.steps, [[16, 3], [100, 1], [16, 1]]);
+    });
+
+    it('records commands against the step they come before', () => {
+        const {recording} = recordRun();
+
+        assert.deepStrictEqual(recording.commands.map(command => command[0]), [0, 40, 90, 150]);
+        assert.deepStrictEqual(recording.commands[2], [90, 'target', 400, 500]);
+        assert.strictEqual(recording.result.outcome, 'quit');
+    });
+
+    it('survives encoding', () => {
+        const {recording} = recordRun();
+        assert.deepStrictEqual(decodeRecording(encodeRecording(recording)), recording);
+    });
+
+    it('rejects recordings from other versions', () => {
+        assert.throws(() => decodeRecording('{"version": 99}'), /Unsupported replay version: 99/);
+    });
+});
+
+describe('ReplayPlayer', () => {
+    it('reproduces the recorded run exactly', () => {
+        const {recording, world} = recordRun();
+        const replay = new ReplayPlayer(decodeRecording(encodeRecording(recording)), createWorld);
+
+        replay.seek(replay.stepCount);
+
+        assert.strictEqual(replay.world.time, world.time);
+        assert.strictEqual(replay.world.player.x, world.player.x);
+        assert.strictEqual(replay.world.player.y, world.player.y);
+        assert.strictEqual(replay.world.score, world.score);
+        assert.deepStrictEqual(
+            replay.world.lightSources.map(light => [light.x, light.y]),
+            world.lightSources.map(light => [light.x, light.y])
+        );
+    });
+
+    it('seeks back by re-simulating from the start', () => {
+        const {recording} = recordRun();
+        const replay = new ReplayPlayer(recording, createWorld);
+        replay.seek(60);
+        const midway = {x: replay.world.player.x, y: replay.world.player.y};
+
+        replay.seek(180);
+        replay.seekBy(-120 * 16);
+
+        assert.strictEqual(replay.step, 60);
+        assert.deepStrictEqual({x: replay.world.player.x, y: replay.world.player.y}, midway);
+    });
+
+    it('plays faster or slower than real time', () => {
+        const {recording} = recordRun();
+        const replay = new ReplayPlayer(recording, createWorld);
+
+        replay.changeSpeed(1);
+        replay.advance(160);
+        assert.strictEqual(replay.step, 20);
+
+        replay.changeSpeed(-1);
+        replay.changeSpeed(-1);
+        replay.advance(160);
+        assert.strictEqual(replay.step, 25);
+    });
+
+    it('stops at the end of the recording', () => {
+        const {recording} = recordRun();
+        const replay = new ReplayPlayer(recording, createWorld);
+
+        replay.advance(60000);
+
+        assert.strictEqual(replay.isFinished(), true);
+        assert.strictEqual(replay.step, 200);
+    });
+
+    it('follows the recorded player with its ghost', () => {
+        const {recording} = recordRun();
+        const replay = new ReplayPlayer(recording, createWorld);
+
+        assert.strictEqual(replay.getGhostPosition(), null);
+
+        replay.seek(100);
+        const ghost = replay.getGhostPosition();
+        assert.ok(Math.abs(ghost.x - replay.world.player.x) < 0.1);
+        assert.ok(Math.abs(ghost.y - replay.world.player.y) < 0.1);
+    });
+});
@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { ObstacleGrid } = require('../spatialGrid.js');
+const { World } = require('../world.js');
+const { Random } = require('../random.js');
+const { RectangleObstacle, CircleObstacle, LightSource } = require('../entities.js');
+
+/**
+ * Fills a world with a scatter of small obstacles and a few lights
+ * @param {number} count - Number of obstacles
+ * @param {number} seed - Seed for the layout
+ * @returns {World} The populated world, lighting up to date
+ */
+function createCrowdedWorld(count, seed) {
+    const world = new World(800, 600, seed);
+    const random = new Random(seed);
+    for (let i = 0; i < count; i++) {
+        if (random.next() < 0.5) {
+            world.addObstacle(new RectangleObstacle(random.range(0, 780), random.range(0, 580), 12, 12));
+        } else {
+            world.addObstacle(new CircleObstacle(random.range(10, 790), random.range(10, 590), 6));
+        }
+    }
+    world.addLightSource(new LightSource(200, 150, 10, '#ffffaa', 180));
+    world.addLightSource(new LightSource(600, 450, 10, '#ffffaa', 250));
+    world.updateLighting();
+    return world;
+}
+
+describe('ObstacleGrid', () => {
+    it('finds obstacles near a point and skips those out of reach', () => {
+        const grid = new ObstacleGrid();
+        const near = new RectangleObstacle(130, 90, 20, 20);
+        const far = new RectangleObstacle(600, 500, 20, 20);
+        const corner = new CircleObstacle(200, 200, 10);
+        grid.rebuild([near, far, corner]);
+
+        assert.deepStrictEqual(grid.queryCircle({x: 100, y: 100}, 50), [near]);
+        assert.deepStrictEqual(grid.queryCircle({x: 100, y: 100}, 130), [near, corner]);
+        assert.deepStrictEqual(grid.queryCircle({x: 100, y: 100}, 10), []);
+    });
+
+    it('finds obstacles along a line without visiting the rest of the grid', () => {
+        const grid = new ObstacleGrid();
+        const onLine = new RectangleObstacle(390, 290, 20, 20);
+        const offLine = new RectangleObstacle(100, 500, 20, 20);
+        grid.rebuild([offLine, onLine]);
+
+        assert.deepStrictEqual(grid.querySegment({x: 50, y: 50}, {x: 750, y: 550}), [onLine]);
+        assert.deepStrictEqual(grid.querySegment({x: 750, y: 550}, {x: 50, y: 50}), [onLine]);
+        assert.deepStrictEqual(grid.querySegment({x: 400, y: 50}, {x: 400, y: 550}), [onLine]);
+        assert.deepStrictEqual(grid.querySegment({x: 50, y: 50}, {x: 60, y: 50}), []);
+    });
+
+    it('returns every obstacle a line crosses', () => {
+        const random = new Random(3);
+        const obstacles = [];
+        for (let i = 0; i < 60; i++) {
+            obstacles.push(new RectangleObstacle(random.range(-50, 800), random.range(-50, 600), random.range(5, 150), random.range(5, 150)));
+        }
+        const grid = new ObstacleGrid(64);
+        grid.rebuild(obstacles);
+
+        const light = new LightSource(0, 0, 10, '#fff', 2000);
+        for (let i = 0; i < 200; i++) {
+            light.x = random.range(0, 800);
+            light.y = random.range(0, 600);
+            const point = {x: random.range(0, 800), y: random.range(0, 600)};
+            const candidates = grid.querySegment(light, point);
+            obstacles.filter(obstacle => light.isPointInShadow(point, obstacle)).forEach(obstacle => {
+                assert.ok(candidates.includes(obstacle));
+            });
+        }
+    });
+});
+
+describe('World obstacle grid', () => {
+    it('lights the same regions as testing every obstacle', () => {
+        const world = createCrowdedWorld(300, 8);
+        const obstacles = world.getSolidObstacles();
+
+        world.lightSources.forEach(light => {
+            assert.deepStrictEqual(light.litRegion, light.computeLitRegion(obstacles));
+        });
+        assert.deepStrictEqual(world.findLightingMismatches(), []);
+    });
+
+    it('hands each light only the obstacles within its reach', () => {
+        const world = createCrowdedWorld(300, 8);
+        const light = world.lightSources[0];
+        const handed = [];
+        light.updateLitRegion = obstacles => handed.push(...obstacles);
+        world.updateLighting();
+
+        assert.ok(handed.length > 0);
+        assert.ok(handed.length < world.obstacles.length / 2);
+        handed.forEach(obstacle => {
+            const center = obstacle.getCenter();
+            assert.ok(Math.hypot(center.x - light.x, center.y - light.y) < light.getMaxRange() + 20);
+        });
+    });
+
+    it('follows obstacles as they move and break', () => {
+        const world = new World(800, 600);
+        const light = world.addLightSource(new LightSource(400, 300, 10, '#fff', 200));
+        const wall = world.addObstacle(new RectangleObstacle(700, 100, 20, 100));
+        world.updateLighting();
+        assert.ok(light.isPointLit({x: 450, y: 300}));
+
+        wall.setTransform({x: 430, y: 300});
+        world.updateLighting();
+        assert.ok(!light.isPointLit({x: 450, y: 300}));
+
+        wall.broken = true;
+        world.updateLighting();
+        assert.ok(light.isPointLit({x: 450, y: 300}));
+    });
+
+    it('skips rebuilding the grid and static lights while nothing moves', () => {
+        const world = createCrowdedWorld(50, 4);
+        const light = world.lightSources[0];
+        light.movementPattern = 'static';
+        world.updateLighting();
+        const region = light.litRegion;
+        let rebuilds = 0;
+        const rebuild = world.obstacleGrid.rebuild.bind(world.obstacleGrid);
+        world.obstacleGrid.rebuild = obstacles => {
+            rebuilds++;
+            rebuild(obstacles);
+        };
+
+        world.update(16);
+        world.update(16);
+        assert.strictEqual(rebuilds, 0);
+        assert.strictEqual(light.litRegion, region);
+
+        world.obstacles[0].setTransform({x: 400, y: 300});
+        world.update(16);
+        assert.strictEqual(rebuilds, 1);
+    });
+});
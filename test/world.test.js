@@ -0,0 +1,534 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { World } = require('../world.js');
+const { LightSource, RectangleObstacle, DoorObstacle } = require('../entities.js');
+const { Path } = require('../paths.js');
+const { predefinedLevels, loadPredefinedLevel } = require('../levelLayouts.js');
+const { levelGenerator } = require('../levelGenerator.js');
+const { Renderer } = require('../renderer.js');
+const { createFakeContext } = require('./helpers.js');
+
+describe('loadPredefinedLevel', () => {
+    it('populates the world from the level data', () => {
+        const world = new World(800, 600);
+
+        loadPredefinedLevel(world, 7);
+
+        assert.strictEqual(world.obstacles.length, predefinedLevels[7].obstacles.length);
+        assert.strictEqual(world.lightSources.length, predefinedLevels[7].lightSources.length);
+        assert.strictEqual(world.objective.type, predefinedLevels[7].objective.type);
+    });
+
+    it('defaults to surviving for the level time', () => {
+        const world = new World(800, 600);
+        loadPredefinedLevel(world, 7);
+
+        loadPredefinedLevel(world, 1);
+
+        assert.strictEqual(world.objective.type, 'survive');
+        assert.strictEqual(world.levelDuration, predefinedLevels[1].timeToSurvive);
+    });
+
+    it('keeps the default level time when a survival level sets none', () => {
+        const world = new World(800, 600);
+        const levelDuration = world.levelDuration;
+        loadPredefinedLevel(world, 5);
+        predefinedLevels[99] = Object.assign({}, predefinedLevels[1], {timeToSurvive: undefined});
+
+        try {
+            loadPredefinedLevel(world, 99);
+        } finally {
+            delete predefinedLevels[99];
+        }
+        world.startLevel(99, 1.0);
+        world.update(16);
+
+        assert.strictEqual(world.levelDuration, levelDuration);
+        assert.ok(!world.isLevelComplete());
+    });
+
+    it('replaces whatever the world held before', () => {
+        const world = new World(800, 600);
+        loadPredefinedLevel(world, 5);
+
+        loadPredefinedLevel(world, 1);
+
+        assert.strictEqual(world.obstacles.length, predefinedLevels[1].obstacles.length);
+        assert.strictEqual(world.lightSources.length, predefinedLevels[1].lightSources.length);
+    });
+
+    it('builds spotlights declared in the level data', () => {
+        const world = new World(800, 600);
+
+        loadPredefinedLevel(world, 4);
+
+        const spotlight = world.lightSources.find(light => light.type === 'spotlight');
+        const spotlightData = predefinedLevels[4].lightSources.find(light => light.type === 'spotlight');
+        assert.ok(spotlight);
+        assert.strictEqual(spotlight.intensity, spotlightData.range);
+        assert.strictEqual(spotlight.coneWidth, spotlightData.coneWidth);
+        assert.strictEqual(spotlight.sweepCenter, spotlightData.facing);
+    });
+
+    it('sets lights on the paths declared in the level data', () => {
+        const world = new World(800, 600);
+
+        loadPredefinedLevel(world, 5);
+
+        const pathLights = world.lightSources.filter(light => light.movementPattern === 'path');
+        const pathData = predefinedLevels[5].lightSources.filter(light => light.path);
+        assert.strictEqual(pathLights.length, pathData.length);
+        assert.ok(pathLights.length > 0);
+        assert.strictEqual(pathLights[0].path.curve, pathData[0].path.curve);
+    });
+
+    it('applies light colours and the ambient level', () => {
+        const world = new World(800, 600);
+
+        loadPredefinedLevel(world, 4);
+
+        assert.deepStrictEqual(
+            world.lightSources.map(light => light.color),
+            predefinedLevels[4].lightSources.map(light => light.color || '#ffff00')
+        );
+        assert.strictEqual(world.ambientLight, predefinedLevels[4].ambientLight);
+    });
+
+    it('keeps the default ambient level when a level sets none', () => {
+        const world = new World(800, 600);
+        const ambientLight = world.ambientLight;
+        predefinedLevels[99] = Object.assign({}, predefinedLevels[1], {ambientLight: undefined});
+
+        try {
+            loadPredefinedLevel(world, 99);
+        } finally {
+            delete predefinedLevels[99];
+        }
+
+        assert.strictEqual(world.ambientLight, ambientLight);
+    });
+
+    it('does not carry the ambient level over from the level before', () => {
+        const world = new World(800, 600);
+        const ambientLight = world.ambientLight;
+        loadPredefinedLevel(world, 5);
+        assert.notStrictEqual(world.ambientLight, ambientLight);
+        predefinedLevels[99] = Object.assign({}, predefinedLevels[1], {ambientLight: undefined});
+
+        try {
+            loadPredefinedLevel(world, 99);
+        } finally {
+            delete predefinedLevels[99];
+        }
+
+        assert.strictEqual(world.ambientLight, ambientLight);
+    });
+
+    it('falls back to level 1 for unknown levels', () => {
+        const world = new World(800, 600);
+
+        const levelData = loadPredefinedLevel(world, 99);
+
+        assert.strictEqual(levelData, predefinedLevels[1]);
+    });
+});
+
+describe('World.update', () => {
+    it('runs thousands of frames headlessly', () => {
+        const world = new World(800, 600);
+        loadPredefinedLevel(world, 5);
+        world.startLevel(5, 1.8);
+
+        for (let i = 0; i < 5000 && !world.isPlayerCaught(); i++) {
+            world.update(16);
+        }
+
+        assert.ok(world.time > 0);
+        world.lightSources.forEach(light => {
+            assert.ok(Number.isFinite(light.x) && Number.isFinite(light.y));
+        });
+    });
+
+    it('advances the level clock', () => {
+        const world = new World(800, 600);
+        world.startLevel(1, 1.0);
+        world.levelDuration = 1000;
+
+        world.update(600);
+        assert.strictEqual(world.getRemainingTime(), 400);
+        assert.strictEqual(world.isLevelComplete(), false);
+
+        world.update(600);
+        assert.strictEqual(world.getRemainingTime(), 0);
+        assert.strictEqual(world.isLevelComplete(), true);
+    });
+
+    it('keeps the player out of the level obstacles', () => {
+        const world = new World(800, 600);
+        loadPredefinedLevel(world, 1);
+        world.startLevel(1, 1.0);
+        const player = world.player;
+        // Walk into the middle of the 80x80 block
+        player.targetX = 540;
+        player.targetY = 440;
+
+        for (let i = 0; i < 300; i++) {
+            world.update(16);
+            world.obstacles.forEach(obstacle => {
+                assert.strictEqual(obstacle.getCollisionPush({x: player.x, y: player.y, radius: player.radius - 1e-6}), null);
+            });
+        }
+    });
+});
+
+describe('lighting', () => {
+    function createLevel(levelNum) {
+        const world = new World(800, 600);
+        loadPredefinedLevel(world, levelNum);
+        world.startLevel(levelNum, 1.0);
+        return world;
+    }
+
+    it('computes lit regions once per update for both exposure and drawing', () => {
+        const world = createLevel(3);
+        let computed = 0;
+        world.lightSources.forEach(light => {
+            const compute = light.computeLitRegion.bind(light);
+            light.computeLitRegion = obstacles => {
+                computed++;
+                return compute(obstacles);
+            };
+        });
+
+        world.update(16);
+        new Renderer(createFakeContext()).drawWorld(world);
+
+        assert.strictEqual(computed, world.lightSources.length);
+    });
+
+    it('agrees with direct line of sight at full quality', () => {
+        const world = createLevel(1);
+        world.lightSources.forEach(light => {
+            light.useOptimizedShadows = false;
+        });
+        world.updateLighting();
+
+        assert.deepStrictEqual(world.findLightingMismatches(10), []);
+    });
+
+    it('keeps the shadow quality for the lights of later levels', () => {
+        const world = createLevel(1);
+
+        world.setOptimizedShadows(false);
+        loadPredefinedLevel(world, 2);
+
+        assert.ok(world.lightSources.every(light => light.useOptimizedShadows === false));
+    });
+
+    it('reports mismatches when a lit region is stale', () => {
+        const world = createLevel(1);
+        world.lightSources[0].x += 150;
+
+        const mismatches = world.findLightingMismatches(10);
+
+        assert.ok(mismatches.length > 0);
+        assert.ok(mismatches.some(point => point.lit));
+        assert.ok(mismatches.some(point => !point.lit));
+    });
+});
+
+describe('dynamic obstacles', () => {
+    /**
+     * Builds a world with one static light and one obstacle
+     * @param {Obstacle} obstacle - Obstacle to add
+     * @returns {World} Started world
+     */
+    function createLitWorld(obstacle) {
+        const world = new World(800, 600);
+        world.addLightSource(new LightSource(400, 300, 10, '#ffff00', 300, 0));
+        world.lightSources[0].movementPattern = 'static';
+        world.addObstacle(obstacle);
+        world.startLevel(1, 1.0);
+        return world;
+    }
+
+    it('cast shadows from where they are now', () => {
+        const shutter = new RectangleObstacle(480, 250, 20, 100);
+        shutter.setPath(new Path({points: [{x: 490, y: 300}, {x: 490, y: 100}], mode: 'once', speed: 0.2}));
+        const world = createLitWorld(shutter);
+        const behind = {x: 600, y: 300};
+        assert.strictEqual(world.isPointLit(behind), false);
+
+        world.update(1000);
+
+        assert.strictEqual(world.isPointLit(behind), true);
+    });
+
+    it('let light through open doors', () => {
+        const world = createLitWorld(new DoorObstacle(480, 250, 20, 100, 1000, 1000));
+        const behind = {x: 600, y: 300};
+        assert.strictEqual(world.isPointLit(behind), false);
+
+        world.update(1600);
+        assert.strictEqual(world.isPointLit(behind), true);
+
+        world.update(1500);
+        assert.strictEqual(world.isPointLit(behind), false);
+    });
+
+    it('keep the player in the arena around a horizontal door', () => {
+        const world = createLitWorld(new DoorObstacle(360, 350, 100, 20, 1000, 1000));
+        world.player.reset(400, 340);
+
+        for (let i = 0; i < 10; i++) {
+            world.update(16);
+        }
+
+        assert.ok(Number.isFinite(world.player.x) && Number.isFinite(world.player.y));
+        assert.strictEqual(world.isPointLit(world.player), true);
+    });
+
+    it('shatter under light and come back with the level', () => {
+        const cover = new RectangleObstacle(480, 250, 20, 100);
+        cover.durability = 500;
+        const world = createLitWorld(cover);
+        const behind = {x: 600, y: 300};
+
+        for (let i = 0; i < 100 && cover.isSolid(); i++) {
+            world.update(16);
+        }
+        assert.strictEqual(cover.broken, true);
+        assert.strictEqual(world.isPointLit(behind), true);
+
+        world.startLevel(1, 1.0);
+        assert.strictEqual(world.isPointLit(behind), false);
+    });
+
+    it('push the player out of their way', () => {
+        const sweeper = new RectangleObstacle(0, 0, 20, 400);
+        sweeper.setPath(new Path({points: [{x: 10, y: 450}, {x: 200, y: 450}], mode: 'once', speed: 0.1}));
+        const world = new World(800, 600);
+        world.addObstacle(sweeper);
+        world.startLevel(1, 1.0);
+
+        for (let i = 0; i < 100; i++) {
+            world.update(16);
+        }
+
+        const box = sweeper.getBounds();
+        assert.ok(world.player.x >= box.x + box.width + world.player.radius - 1e-6);
+    });
+});
+
+describe('levelGenerator', () => {
+    /**
+     * Checks if two obstacles' bounding boxes overlap
+     * @param {Obstacle} a - First obstacle
+     * @param {Obstacle} b - Second obstacle
+     * @returns {boolean} True if the boxes overlap
+     */
+    function boundsOverlap(a, b) {
+        const box = obstacle => {
+            const corners = obstacle.getCorners();
+            return {
+                minX: Math.min(...corners.map(point => point.x)),
+                maxX: Math.max(...corners.map(point => point.x)),
+                minY: Math.min(...corners.map(point => point.y)),
+                maxY: Math.max(...corners.map(point => point.y))
+            };
+        };
+        const boxA = box(a);
+        const boxB = box(b);
+        return boxA.minX < boxB.maxX && boxB.minX < boxA.maxX && boxA.minY < boxB.maxY && boxB.minY < boxA.maxY;
+    }
+
+    /**
+     * Captures the state of a world's lights and random generator
+     * @param {World} world - World to capture
+     * @returns {Object} Snapshot
+     */
+    function generateSnapshot(world) {
+        return {
+            lights: world.lightSources.map(light => [light.x, light.y, light.angle, light.linearDirection.x]),
+            random: world.random.state
+        };
+    }
+
+    /**
+     * Generates a level into a fresh world
+     * @param {number} seed - World seed
+     * @returns {Array} Obstacle corners and light positions of the generated level
+     */
+    function generate(seed) {
+        const world = new World(800, 600, seed);
+        levelGenerator.generateLevel(world, 5);
+        return {
+            obstacles: world.obstacles.map(obstacle => obstacle.getCorners()),
+            lights: world.lightSources.map(light => [light.x, light.y, light.movementPattern])
+        };
+    }
+
+    it('builds the same level from the same seed', () => {
+        assert.deepStrictEqual(generate(2024), generate(2024));
+    });
+
+    it('builds different levels from different seeds', () => {
+        assert.notDeepStrictEqual(generate(2024), generate(2025));
+    });
+
+    it('keeps obstacles apart and clear of the spawn point', () => {
+        [1, 2, 3].forEach(seed => {
+            const world = new World(800, 600, seed);
+            levelGenerator.generateLevel(world, 8);
+            const spawn = world.getSpawnPoint();
+
+            world.obstacles.forEach((obstacle, i) => {
+                assert.strictEqual(obstacle.getCollisionPush({x: spawn.x, y: spawn.y, radius: 60}), null);
+                world.obstacles.slice(i + 1).forEach(other => {
+                    assert.ok(!boundsOverlap(obstacle, other), `seed ${seed}: obstacles ${i} overlap`);
+                });
+            });
+        });
+    });
+
+    it('keeps the spawn point dark while the player gets going', () => {
+        [1, 2, 3].forEach(seed => {
+            const world = new World(800, 600, seed);
+            levelGenerator.generateLevel(world, 6, 2.2);
+            world.startLevel(6, 2.2);
+
+            for (let time = 0; time < 2000; time += 16) {
+                world.update(16);
+                assert.strictEqual(world.isPointLit(world.getSpawnPoint()), false, `seed ${seed} at ${time}ms`);
+            }
+        });
+    });
+
+    it('leaves enough of the arena in shadow', () => {
+        [1, 2, 3].forEach(seed => {
+            const world = new World(800, 600, seed);
+            const params = levelGenerator.generateLevel(world, 3);
+
+            const fairness = levelGenerator.measureFairness(world);
+
+            assert.ok(fairness.shadowFraction >= params.safeZonePercentage, `seed ${seed}: ${fairness.shadowFraction}`);
+            assert.deepStrictEqual(fairness.spawnLights, []);
+        });
+    });
+
+    it('does not change the level by checking it', () => {
+        const world = new World(800, 600, 11);
+        levelGenerator.generateLevel(world, 4);
+        const before = generateSnapshot(world);
+
+        levelGenerator.measureFairness(world);
+
+        assert.deepStrictEqual(generateSnapshot(world), before);
+    });
+
+    it('leaves out lights that cannot be kept off the spawn point', () => {
+        const world = new World(800, 600, 5);
+        const params = Object.assign(levelGenerator.getLevelParameters(1), {
+            numObstacles: 0,
+            numLightSources: 3,
+            lightIntensity: 2000
+        });
+
+        levelGenerator.generateObstacles(world, params);
+        levelGenerator.generateLightSources(world, params);
+
+        assert.deepStrictEqual(world.lightSources, []);
+    });
+
+    /**
+     * Replaces the fairness check with one nothing passes, counting checks
+     * @param {Function} run - Called with the stub in place, given a function returning the checks so far
+     */
+    function withFailingChecks(run) {
+        const { measureFairness, findSpawnLights } = levelGenerator;
+        let checks = 0;
+
+        try {
+            levelGenerator.measureFairness = function(world) {
+                checks++;
+                return {shadowFraction: checks / 100, spawnLights: world.lightSources.slice(0, 1), shadowChecks: 0};
+            };
+            levelGenerator.findSpawnLights = function(world) {
+                checks++;
+                return world.lightSources.slice(0, 1);
+            };
+            run(() => checks);
+        } finally {
+            Object.assign(levelGenerator, { measureFairness, findSpawnLights });
+        }
+    }
+
+    it('rebuilds a level it has checked before without checking it again', () => {
+        const params = Object.assign(levelGenerator.getLevelParameters(6), {numObstacles: 0});
+        const build = () => {
+            const world = new World(800, 600, 77);
+            levelGenerator.generateLightSources(world, params, 'remembered level');
+            return world;
+        };
+
+        withFailingChecks(checks => {
+            // Nothing passes, so the fairest roll is kept and its spawn lights left out
+            const first = build();
+            assert.strictEqual(checks(), 11);
+
+            const again = build();
+            assert.strictEqual(checks(), 11);
+            assert.deepStrictEqual(generateSnapshot(again), generateSnapshot(first));
+            assert.strictEqual(again.lightSources.length, params.numLightSources - 1);
+        });
+    });
+
+    it('forgets the oldest levels it has checked', () => {
+        const params = Object.assign(levelGenerator.getLevelParameters(1), {numObstacles: 0});
+        const build = levelKey => levelGenerator.generateLightSources(new World(800, 600, 77), params, levelKey);
+
+        withFailingChecks(checks => {
+            for (let level = 0; level <= 16; level++) {
+                build(`forgotten level ${level}`);
+            }
+            const checked = checks();
+
+            build('forgotten level 16');
+            assert.strictEqual(checks(), checked);
+
+            build('forgotten level 0');
+            assert.ok(checks() > checked);
+        });
+    });
+
+    it('bounds the work of checking a level', () => {
+        const computeLitRegion = LightSource.prototype.computeLitRegion;
+        let regions = 0;
+
+        try {
+            LightSource.prototype.computeLitRegion = function(obstacles) {
+                regions++;
+                return computeLitRegion.call(this, obstacles);
+            };
+            [12345, 77].forEach(seed => {
+                regions = 0;
+                levelGenerator.generateLevel(new World(800, 600, seed), 20);
+                assert.ok(regions <= 120, `seed ${seed}: ${regions} lit regions`);
+            });
+        } finally {
+            LightSource.prototype.computeLitRegion = computeLitRegion;
+        }
+    });
+
+    it('keeps ramping up past level 5', () => {
+        const level5 = levelGenerator.getLevelParameters(5);
+        const level9 = levelGenerator.getLevelParameters(9);
+        const level40 = levelGenerator.getLevelParameters(40);
+
+        assert.ok(level9.numLightSources > level5.numLightSources);
+        assert.ok(level9.lightIntensity > level5.lightIntensity);
+        assert.strictEqual(level40.numLightSources, 6);
+        assert.strictEqual(level40.numObstacles, 14);
+    });
+});
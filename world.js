@@ -0,0 +1,414 @@
+/**
+ * Shadow Escape - World
+ *
+ * A World holds everything that makes up a running level: the arena bounds,
+ * the player, the obstacles, the light sources and the guards. Level loaders
+ * and the level generator populate a world handed to them by the game,
+ * instead of writing into shared globals.
+ *
+ * The world is also the simulation: update(deltaTime) advances the level
+ * clock, moves every entity, works out light exposure and awards points. It
+ * never touches the DOM or the wall clock, so it can be stepped headlessly.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./entities.js'),
+            require('./random.js'),
+            require('./objectives.js'),
+            require('./spatialGrid.js')
+        ));
+    } else {
+        root.Nolhyte = Object.assign(root.Nolhyte || {}, factory(root.Nolhyte));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { Player, Random, SurviveObjective, ObstacleGrid } = deps;
+    
+    // What a level runs with unless its data says otherwise
+    const DEFAULT_LEVEL_DURATION = 30000; // 30 seconds
+    const DEFAULT_AMBIENT_LIGHT = 0.15; // Brightness of the floor away from every light, 0 to 1
+    
+    /**
+     * World class
+     * Container for the entities of the level being played
+     */
+    class World {
+        /**
+         * Creates an empty world
+         * @param {number} width - Width of the arena
+         * @param {number} height - Height of the arena
+         * @param {number} seed - Seed for the world's random generator
+         */
+        constructor(width, height, seed = 0) {
+            this.width = width;
+            this.height = height;
+            this.player = new Player();
+            this.obstacles = [];
+            this.obstacleGrid = new ObstacleGrid(); // Solid obstacles by area, refreshed with the lighting
+            this.obstacleGridKey = null; // Outlines the grid was built from, so it is only rebuilt when one changes
+            this.lightSources = [];
+            this.optimizedShadows = true; // Shadow quality every light is lit with, kept from level to level
+            this.guards = [];
+            this.levelDuration = DEFAULT_LEVEL_DURATION;
+            this.level = 1;
+            this.difficulty = 1.0;
+            this.score = 0;
+            this.time = 0; // Time elapsed in the current level
+            this.ambientLight = DEFAULT_AMBIENT_LIGHT;
+            this.playerInLight = false;
+            this.playerExposure = 0; // How strongly the player's body is lit, 0 to 1
+            this.playerSpotted = false; // Whether a guard can see the player
+            this.random = new Random(seed); // Source of all randomness in the level
+            this.objective = new SurviveObjective(); // What completes the level
+        }
+        
+        /**
+         * Restarts the world's random generator
+         * Call before populating a level so it plays out the same every time
+         * @param {number} seed - New seed
+         */
+        setSeed(seed) {
+            this.random = new Random(seed);
+        }
+        
+        /**
+         * Removes all obstacles, light sources and guards
+         * The level duration and ambient light go back to their defaults, so
+         * nothing carries over to a level that doesn't set them
+         */
+        clear() {
+            this.obstacles.length = 0;
+            this.lightSources.length = 0;
+            this.guards.length = 0;
+            this.levelDuration = DEFAULT_LEVEL_DURATION;
+            this.ambientLight = DEFAULT_AMBIENT_LIGHT;
+            this.obstacleGrid.clear();
+            this.obstacleGridKey = null;
+        }
+        
+        /**
+         * Sets what the player must do to complete the level
+         * @param {Objective} objective - Objective from createObjective()
+         */
+        setObjective(objective) {
+            this.objective = objective;
+        }
+        
+        /**
+         * Adds an obstacle to the world
+         * Its random starting state comes from the world's generator
+         * @param {Obstacle} obstacle - Obstacle to add
+         * @returns {Obstacle} The added obstacle
+         */
+        addObstacle(obstacle) {
+            obstacle.randomize(this.random);
+            this.obstacles.push(obstacle);
+            if (obstacle.isSolid()) {
+                this.obstacleGrid.insert(obstacle);
+                this.obstacleGridKey = null;
+            }
+            return obstacle;
+        }
+        
+        /**
+         * Adds a light source to the world
+         * Its random starting state comes from the world's generator
+         * @param {LightSource} light - Light source to add
+         * @returns {LightSource} The added light source
+         */
+        addLightSource(light) {
+            light.randomize(this.random);
+            light.useOptimizedShadows = this.optimizedShadows;
+            this.lightSources.push(light);
+            return light;
+        }
+        
+        /**
+         * Switches the shadow quality of every light, now and in later levels
+         * The number of rays changes the lit regions and so the exposure,
+         * which is why replays record it
+         * @param {boolean} optimized - True for fewer rays, false for full quality
+         */
+        setOptimizedShadows(optimized) {
+            this.optimizedShadows = optimized;
+            this.lightSources.forEach(light => {
+                light.useOptimizedShadows = optimized;
+            });
+            this.updateLighting();
+        }
+        
+        /**
+         * Adds a guard to the world
+         * @param {Guard} guard - Guard to add
+         * @returns {Guard} The added guard
+         */
+        addGuard(guard) {
+            this.guards.push(guard);
+            return guard;
+        }
+        
+        /**
+         * Gets the player's starting position
+         * @returns {Object} Spawn point {x, y} in the bottom left corner
+         */
+        getSpawnPoint() {
+            return {x: 50, y: this.height - 50};
+        }
+        
+        /**
+         * Moves the player back to the spawn point
+         */
+        resetPlayer() {
+            const spawn = this.getSpawnPoint();
+            this.player.reset(spawn.x, spawn.y);
+        }
+        
+        /**
+         * Prepares a freshly loaded level for play
+         * Resets the player, the obstacles, the guards and the level clock
+         * @param {number} level - Level number being played
+         * @param {number} difficulty - Difficulty multiplier for exposure
+         */
+        startLevel(level, difficulty) {
+            this.level = level;
+            this.difficulty = difficulty;
+            this.time = 0;
+            this.playerInLight = false;
+            this.playerExposure = 0;
+            this.playerSpotted = false;
+            this.obstacles.forEach(obstacle => obstacle.reset());
+            this.guards.forEach(guard => guard.reset());
+            this.objective.reset();
+            this.resetPlayer();
+            this.updateLighting();
+        }
+        
+        /**
+         * Gets the obstacles that currently block light and movement
+         * Leaves out open doors and broken cover
+         * @returns {Array} Solid obstacles
+         */
+        getSolidObstacles() {
+            return this.obstacles.filter(obstacle => obstacle.isSolid());
+        }
+        
+        /**
+         * Gets the solid obstacles that may lie within a radius of a point
+         * Answers from the obstacle grid as of the last lighting update
+         * @param {Object} point - Point {x, y}
+         * @param {number} radius - Distance from the point
+         * @returns {Array} Solid obstacles near the point
+         */
+        getObstaclesNear(point, radius) {
+            return this.obstacleGrid.queryCircle(point, radius);
+        }
+        
+        /**
+         * Gets the solid obstacles that may block a line
+         * Answers from the obstacle grid as of the last lighting update
+         * @param {Object} a - Start point {x, y}
+         * @param {Object} b - End point {x, y}
+         * @returns {Array} Solid obstacles near the line
+         */
+        getObstaclesAlong(a, b) {
+            return this.obstacleGrid.querySegment(a, b);
+        }
+        
+        /**
+         * Rebuilds the obstacle grid if any solid obstacle has changed since it was built
+         */
+        refreshObstacleGrid() {
+            const obstacles = this.getSolidObstacles();
+            const key = obstacles.map(obstacle => obstacle.getShapeKey()).join(',');
+            if (key !== this.obstacleGridKey) {
+                this.obstacleGrid.rebuild(obstacles);
+                this.obstacleGridKey = key;
+            }
+        }
+        
+        /**
+         * Recomputes the lit region of every light
+         * Run after anything moves; rendering and exposure both read the result.
+         * Refreshes the obstacle grid first, then gives each light only the
+         * obstacles within its reach. Lights whose surroundings haven't
+         * changed keep their lit region from last time
+         */
+        updateLighting() {
+            this.refreshObstacleGrid();
+            this.lightSources.forEach(light => {
+                light.updateLitRegion(this.getObstaclesNear(light, light.getMaxRange()));
+            });
+        }
+        
+        /**
+         * Lets the light falling on breakable obstacles wear them down
+         * @param {number} deltaTime - Time the light was on them
+         * @returns {boolean} True if any obstacle broke
+         */
+        damageObstacles(deltaTime) {
+            let broke = false;
+            this.obstacles.forEach(obstacle => {
+                if (!obstacle.isBreakable()) return;
+                
+                const strength = obstacle.getSurfacePoints().reduce((strongest, point) => {
+                    return Math.max(strongest, this.getLightAt(point));
+                }, 0);
+                if (obstacle.absorbLight(strength, deltaTime)) {
+                    broke = true;
+                }
+            });
+            return broke;
+        }
+        
+        /**
+         * Checks if a point is lit by any light
+         * @param {Object} point - Point {x, y}
+         * @returns {boolean} True if the point is inside a lit region
+         */
+        isPointLit(point) {
+            return this.lightSources.some(light => light.isPointLit(point));
+        }
+        
+        /**
+         * Gets the light strength at a point
+         * Overlapping lights don't add up: the brightest one counts
+         * @param {Object} point - Point {x, y}
+         * @returns {number} Strength from 0 (dark) to 1 (fully lit)
+         */
+        getLightAt(point) {
+            return this.lightSources.reduce((brightest, light) => {
+                return Math.max(brightest, light.getLightAt(point));
+            }, 0);
+        }
+        
+        /**
+         * Works out how much of the player is lit
+         * Averages light strength over the player's sample points, so both
+         * how much of the body is lit and how close it is to a light count
+         * @returns {number} Exposure from 0 (hidden) to 1 (fully lit at full strength)
+         */
+        getPlayerExposure() {
+            const samples = this.player.getSamplePoints();
+            const total = samples.reduce((sum, point) => sum + this.getLightAt(point), 0);
+            return total / samples.length;
+        }
+        
+        /**
+         * Finds points where the lit regions disagree with direct line of sight
+         * Samples the arena on a grid; used by the lighting debug overlay
+         * @param {number} spacing - Distance between sample points
+         * @returns {Array} Mismatched points {x, y, lit}, where lit is the lit-region answer
+         */
+        findLightingMismatches(spacing = 20) {
+            const mismatches = [];
+            
+            // Fractional offsets keep samples off straight and diagonal edges,
+            // where the two tests legitimately disagree about the boundary
+            for (let y = spacing / 2 + 0.6; y < this.height; y += spacing) {
+                for (let x = spacing / 2 + 0.25; x < this.width; x += spacing) {
+                    const point = {x, y};
+                    const lit = this.isPointLit(point);
+                    const visible = this.lightSources.some(light => {
+                        return light.hasLineOfSight(point, this.getObstaclesAlong(light, point));
+                    });
+                    
+                    if (lit !== visible) {
+                        mismatches.push({x, y, lit});
+                    }
+                }
+            }
+            
+            return mismatches;
+        }
+        
+        /**
+         * Clamps the player inside the arena walls
+         * The mouse can't leave the canvas, but keys and sticks can
+         */
+        keepPlayerInArena() {
+            const player = this.player;
+            player.x = Math.max(player.radius, Math.min(this.width - player.radius, player.x));
+            player.y = Math.max(player.radius, Math.min(this.height - player.radius, player.y));
+        }
+        
+        /**
+         * Advances the simulation
+         * @param {number} deltaTime - Time to advance in milliseconds
+         */
+        update(deltaTime) {
+            this.time += deltaTime;
+            
+            // Move obstacles and slide doors first, so everything else sees where they are now
+            this.obstacles.forEach(obstacle => {
+                obstacle.update(deltaTime, this);
+            });
+            
+            // Update player, keeping it out of obstacles and inside the arena
+            this.player.update(deltaTime, this.getSolidObstacles());
+            this.keepPlayerInArena();
+            this.objective.update(this, deltaTime);
+            
+            // Update light sources
+            this.lightSources.forEach(light => {
+                light.update(deltaTime, this);
+            });
+            this.updateLighting();
+            
+            // Light wears down breakable cover; shadows change when it gives way
+            if (this.damageObstacles(deltaTime)) {
+                this.updateLighting();
+            }
+            
+            // Guards look for the player whether or not they are lit
+            this.guards.forEach(guard => {
+                guard.update(deltaTime, this);
+            });
+            const guardThreat = this.guards.reduce((most, guard) => Math.max(most, guard.getThreat()), 0);
+            this.playerSpotted = guardThreat > 0;
+            
+            // Check how much of the player is in light
+            this.playerExposure = this.getPlayerExposure();
+            this.playerInLight = this.playerExposure > 0;
+            
+            // Update player exposure based on light and watching guards
+            if (this.playerInLight || this.playerSpotted) {
+                // Increase danger meter in proportion to how strongly the player is lit and how alarmed the guards are
+                const danger = this.playerExposure + guardThreat;
+                this.player.exposureTime += deltaTime * 0.05 * this.difficulty * danger;
+            } else {
+                // Gradually reduce exposure time and danger meter when in shadow
+                this.player.exposureTime = Math.max(0, this.player.exposureTime - deltaTime * 0.01);
+                
+                // Award points for staying in shadows
+                this.score += deltaTime * 0.01 * this.level;
+            }
+        }
+        
+        /**
+         * Checks if the danger meter has filled up
+         * @returns {boolean} True if the player has been caught
+         */
+        isPlayerCaught() {
+            return this.player.exposureTime >= this.player.maxExposureTime;
+        }
+        
+        /**
+         * Checks if the player has met the level's objective
+         * @returns {boolean} True if the level is complete
+         */
+        isLevelComplete() {
+            return this.objective.isComplete(this);
+        }
+        
+        /**
+         * Gets the time left to survive in the current level
+         * @returns {number} Remaining time in milliseconds
+         */
+        getRemainingTime() {
+            return Math.max(0, this.levelDuration - this.time);
+        }
+    }
+    
+    return { World };
+});